@@ -9,6 +9,10 @@ import { Workspace } from './workspace.js';
 import { Storage } from './storage.js';
 import { ExtensionManager } from './extensions.js';
 import { FindReplace } from './findreplace.js';
+import { EditorHighlight } from './editorhighlight.js';
+import { DiagramExport } from './diagramexport.js';
+import { PwaManager } from './pwa.js';
+import { ID_PREFIX } from './markdown.js';
 import { initI18n, setLang, getLang, t, applyTranslations } from './i18n.js';
 
 /* ---- Simple Event Bus ---- */
@@ -44,6 +48,9 @@ class App {
         this.storage = null;
         this.extensions = null;
         this.findReplace = null;
+        this.editorHighlight = null;
+        this.diagramExport = null;
+        this.pwa = null;
     }
 
     async init() {
@@ -62,6 +69,9 @@ class App {
         this.storage = new Storage(this);
         this.extensions = new ExtensionManager(this);
         this.findReplace = new FindReplace(this.editor);
+        this.editorHighlight = new EditorHighlight(this.editor);
+        this.diagramExport = new DiagramExport(this);
+        this.pwa = new PwaManager(this);
 
         // Wire up events
         this._bindToolbar();
@@ -98,6 +108,9 @@ class App {
         // Re-apply translations (some elements may have been created dynamically)
         applyTranslations();
 
+        // Offline support; registered last so caching does not compete with startup
+        this.pwa.register();
+
         console.log('RealtimeMD initialized');
     }
 
@@ -207,6 +220,9 @@ class App {
         // Mobile menu button
         document.getElementById('btn-mobile-menu')?.addEventListener('click', toggleSidebar);
 
+        // Pasted images folder
+        document.getElementById('ribbon-paste-folder')?.addEventListener('click', () => this._choosePasteFolder());
+
         // Theme toggle
         document.getElementById('ribbon-theme')?.addEventListener('click', () => {
             this._toggleTheme();
@@ -273,6 +289,8 @@ class App {
             mobLang.value = getLang();
             mobLang.addEventListener('change', () => {
                 setLang(mobLang.value);
+                // Alert titles in the preview are localized
+                this.preview?._rerender();
                 // Sync desktop selector too
                 const desktopLang = document.getElementById('ribbon-lang');
                 if (desktopLang) desktopLang.value = mobLang.value;
@@ -300,21 +318,76 @@ class App {
             await this.workspace.saveCurrentFile();
         });
 
-        // Scroll sync (editor → preview)
+        // Double-click in preview → caret on the source line
+        this.eventBus.on('preview:jump', (line) => {
+            this.editor.goToLine(line);
+            this._updateStatusBar();
+        });
+
+        // Task checkbox ticked in preview → flip its marker in the source.
+        // If the line no longer holds a task, undo the visual toggle.
+        this.eventBus.on('preview:task-toggle', ({ line, checked }) => {
+            if (!this.editor.setTaskChecked(line, checked)) this.preview.undoTaskToggle(line);
+        });
+
+        // Scroll sync (editor ↔ preview), anchored on source lines.
+        // The pane scrolled by sync is locked briefly so its scroll event does not echo back.
         let scrollSyncTimer = null;
+        let lockedPane = null;
+        let unlockTimer = null;
+        const lockPane = (pane) => {
+            lockedPane = pane;
+            clearTimeout(unlockTimer);
+            unlockTimer = setTimeout(() => { lockedPane = null; }, 100);
+        };
+
         this.editor.textarea.addEventListener('scroll', () => {
+            if (lockedPane === 'editor') return;
             clearTimeout(scrollSyncTimer);
             scrollSyncTimer = setTimeout(() => {
-                const el = this.editor.textarea;
-                const maxScroll = el.scrollHeight - el.clientHeight;
-                if (maxScroll > 0) {
-                    const percent = el.scrollTop / maxScroll;
-                    this.preview.scrollToPercent(percent);
-                }
+                lockPane('preview');
+                this._syncPreviewToEditor();
+            }, 16);
+        });
+
+        this.preview.wrapper.addEventListener('scroll', () => {
+            if (lockedPane === 'preview') return;
+            clearTimeout(scrollSyncTimer);
+            scrollSyncTimer = setTimeout(() => {
+                lockPane('editor');
+                this._syncEditorToPreview();
             }, 16);
         });
     }
 
+    _syncPreviewToEditor() {
+        const el = this.editor.textarea;
+        const maxScroll = el.scrollHeight - el.clientHeight;
+        if (maxScroll <= 0) return;
+        // Pin both ends so the first and last blocks are always reachable
+        if (el.scrollTop <= 0) {
+            this.preview.scrollToPercent(0);
+        } else if (el.scrollTop >= maxScroll - 1) {
+            this.preview.scrollToPercent(1);
+        } else {
+            this.preview.scrollToSourceLine(this.editor.getLineAtScroll());
+        }
+    }
+
+    _syncEditorToPreview() {
+        const wrapper = this.preview.wrapper;
+        const el = this.editor.textarea;
+        const maxScroll = wrapper.scrollHeight - wrapper.clientHeight;
+        if (maxScroll <= 0) return;
+        if (wrapper.scrollTop <= 0) {
+            el.scrollTop = 0;
+        } else if (wrapper.scrollTop >= maxScroll - 1) {
+            el.scrollTop = el.scrollHeight;
+        } else {
+            this.editor.scrollToLine(this.preview.getSourceLineAtScroll());
+        }
+    }
+
     _bindResizeHandle() {
         const handle = document.getElementById('resize-handle');
         const container = document.querySelector('.editor-preview-container');
@@ -388,11 +461,8 @@ class App {
                     securityLevel: 'strict'
                 });
             } catch (e) { /* ignore */ }
-            // Force re-render of preview to pick up new mermaid theme
-            if (this.preview?._currentMd) {
-                this.preview._mermaidCache.clear();
-                this.preview.render(this.preview._currentMd);
-            }
+            // Re-render diagrams to pick up the new mermaid theme
+            this.preview?.refreshDiagrams();
         }
 
         this.showToast(t(next === 'dark' ? 'toast.themeDark' : 'toast.themeLight'), 'info');
@@ -409,6 +479,8 @@ class App {
 
         select.addEventListener('change', () => {
             setLang(select.value);
+            // Alert titles in the preview are localized
+            this.preview?._rerender();
             // Sync mobile selector
             const mobLang = document.getElementById('mob-lang');
             if (mobLang) mobLang.value = select.value;
@@ -478,6 +550,33 @@ class App {
         return narrowViewport && (touchDevice || mobileUA);
     }
 
+    // Ask for the folder pasted images are saved to (relative to the active file)
+    _choosePasteFolder() {
+        const folder = prompt(t('dialog.pasteFolder'), this.editor.getDefaultPasteFolder());
+        if (folder === null) return;
+        this.editor.setPasteFolder(folder);
+        this.showToast(t('toast.pasteFolderSet', { folder: this.editor.getDefaultPasteFolder() }), 'success');
+    }
+
+    /**
+     * Preview HTML for the print window. The preview resolves "#setup" links to
+     * the prefixed heading ids when clicked; the PDF needs them in the href.
+     */
+    _printableHtml(previewEl) {
+        const copy = previewEl.cloneNode(true);
+        const ids = new Set([...copy.querySelectorAll('[id]')].map(el => el.id));
+        copy.querySelectorAll('a[href^="#"]').forEach(link => {
+            let id = link.getAttribute('href').slice(1);
+            try {
+                id = decodeURIComponent(id);
+            } catch (e) { /* keep as written */ }
+            if (!ids.has(id) && ids.has(ID_PREFIX + id)) {
+                link.setAttribute('href', '#' + ID_PREFIX + id);
+            }
+        });
+        return copy.innerHTML;
+    }
+
     /**
      * Open new window with clean preview HTML and trigger print dialog.
      * Used for both desktop and mobile PDF export.
@@ -488,7 +587,7 @@ class App {
         const previewEl = document.querySelector('.preview-content');
         if (!previewEl) return;
 
-        const previewHtml = previewEl.innerHTML;
+        const previewHtml = this._printableHtml(previewEl);
         const printWin = window.open('', '_blank');
         if (!printWin) {
             this.showToast('Pop-up blocked. Please allow pop-ups for this site.', 'error');
@@ -496,12 +595,21 @@ class App {
         }
 
         const hasMath = previewHtml.includes('math-inline') || previewHtml.includes('math-display');
+        // The print window is about:blank, so the vendored MathJax needs an absolute URL
+        const mathJaxUrl = new URL('vendor/mathjax/tex-mml-chtml.js', document.baseURI).href;
+
+        // Front matter title/lang; the title becomes the suggested PDF file name
+        const { title, lang } = this.preview.getMetadata();
+        const docTitle = (typeof title === 'string' || typeof title === 'number') && String(title).trim()
+            ? String(title).trim() : 'RealtimeMD — Print Preview';
+        const docLang = typeof lang === 'string' && /^[A-Za-z]{2,3}(?:-[A-Za-z0-9]{1,8})*$/.test(lang) ? lang : 'en';
+        const escapedTitle = docTitle.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 
         printWin.document.write(`<!DOCTYPE html>
-<html lang="en">
+<html lang="${docLang}">
 <head>
 <meta charset="UTF-8">
-<title>RealtimeMD — Print Preview</title>
+<title>${escapedTitle}</title>
 <style>
   @page { margin: 12mm; }
   *, *::before, *::after { box-sizing: border-box; }
@@ -524,6 +632,7 @@ class App {
   h1 { font-size: 1.8em; border-bottom: 2px solid #ddd; padding-bottom: 0.3em; }
   h2 { font-size: 1.5em; border-bottom: 1px solid #eee; padding-bottom: 0.2em; }
   a { color: #1e66f5; text-decoration: underline; }
+  a.wikilink-missing { color: #d20f39; text-decoration-style: dashed; }
   code {
     background: #f0f0f0; color: #333;
     border: 1px solid #ddd; border-radius: 3px;
@@ -536,10 +645,53 @@ class App {
     break-inside: avoid; page-break-inside: avoid;
   }
   pre code { border: none; padding: 0; background: none; }
+  .code-block { margin: 1em 0; break-inside: avoid; }
+  .code-block pre { margin: 0; }
+  .code-title {
+    padding: 4px 12px; font-size: 0.85em; color: #555;
+    border: 1px solid #ddd; border-bottom: none; border-radius: 4px 4px 0 0; background: #eee;
+    font-family: 'Consolas', 'Monaco', 'Courier New', monospace;
+  }
+  code.code-lines { display: grid; counter-reset: code-line; }
+  .code-line { min-height: 1lh; padding: 0 12px; margin: 0 -12px; }
+  .code-line-highlight { background: #e6e9ef; box-shadow: inset 3px 0 0 #1e66f5; }
+  .show-line-numbers .code-line::before {
+    counter-increment: code-line; content: counter(code-line);
+    display: inline-block; min-width: 2em; margin-right: 12px; text-align: right; color: #999;
+  }
+  .hl-comment { color: #8c8fa1; font-style: italic; }
+  .hl-keyword { color: #8839ef; }
+  .hl-string { color: #40a02b; }
+  .hl-number, .hl-literal { color: #fe640b; }
+  .hl-function { color: #1e66f5; }
+  .hl-type, .hl-attr { color: #df8e1d; }
+  .hl-builtin, .hl-property { color: #209fb5; }
+  .hl-tag, .hl-variable { color: #d20f39; }
+  .hl-meta { color: #fe640b; font-style: italic; }
+  .hl-operator { color: #5c5f77; }
   blockquote {
     border-left: 4px solid #999; margin: 1em 0; padding: 0.5em 1em;
     color: #555; break-inside: avoid;
   }
+  .front-matter { display: none; }
+  .markdown-alert {
+    border-left: 4px solid #1e66f5; margin: 1em 0; padding: 0.5em 1em;
+    break-inside: avoid;
+  }
+  .markdown-alert > :last-child { margin-bottom: 0; }
+  .markdown-alert-title {
+    display: flex; align-items: center; gap: 6px; margin-top: 0; font-weight: 600;
+  }
+  .markdown-alert-note { border-left-color: #1e66f5; }
+  .markdown-alert-note .markdown-alert-title { color: #1e66f5; }
+  .markdown-alert-tip { border-left-color: #40a02b; }
+  .markdown-alert-tip .markdown-alert-title { color: #40a02b; }
+  .markdown-alert-important { border-left-color: #8839ef; }
+  .markdown-alert-important .markdown-alert-title { color: #8839ef; }
+  .markdown-alert-warning { border-left-color: #df8e1d; }
+  .markdown-alert-warning .markdown-alert-title { color: #df8e1d; }
+  .markdown-alert-caution { border-left-color: #d20f39; }
+  .markdown-alert-caution .markdown-alert-title { color: #d20f39; }
   table {
     border-collapse: collapse; width: 100%; margin: 1em 0;
     break-inside: avoid; page-break-inside: avoid;
@@ -562,7 +714,21 @@ class App {
   mjx-container { break-inside: avoid; }
   ul, ol { padding-left: 1.5em; }
   li { margin-bottom: 0.3em; }
+  li > p { margin: 0.4em 0; }
+  li > ul, li > ol { margin: 0.25em 0; }
+  blockquote > :first-child, li > :first-child { margin-top: 0; }
+  blockquote > :last-child, li > :last-child { margin-bottom: 0; }
   hr { border: none; border-top: 1px solid #ddd; margin: 1.5em 0; }
+  .heading-anchor { display: none; }
+  .toc { margin: 1em 0; padding: 0.6em 1em; border: 1px solid #ddd; border-radius: 4px; break-inside: avoid; }
+  .toc ul { margin: 0.2em 0; padding-left: 1.2em; }
+  .toc a { text-decoration: none; }
+  .footnote-ref a, .footnote-backref { text-decoration: none; }
+  .footnotes {
+    margin-top: 2em; padding-top: 0.8em;
+    border-top: 1px solid #ddd; font-size: 0.9em; color: #444;
+  }
+  .footnotes li { break-inside: avoid; page-break-inside: avoid; }
   mark { background: #fef08a; padding: 0.1em 0.2em; }
   kbd {
     background: #f0f0f0; border: 1px solid #ccc; border-radius: 3px;
@@ -574,7 +740,7 @@ class App {
     .print-content { max-width: none; padding: 0; }
   }
 </style>
-${hasMath ? '<script>window.MathJax={tex:{inlineMath:[["\\\\(","\\\\)"]],displayMath:[["\\\\[","\\\\]"]]},startup:{typeset:false}};</script><script src="https://cdn.jsdelivr.net/npm/mathjax@3/es5/tex-mml-chtml.js"></script>' : ''}
+${hasMath ? `<script>window.MathJax={tex:{inlineMath:[["\\\\(","\\\\)"]],displayMath:[["\\\\[","\\\\]"]]},startup:{typeset:false}};</script><script src="${mathJaxUrl}"></script>` : ''}
 </head>
 <body>
 <div class="print-content">${previewHtml}</div>
@@ -733,23 +899,24 @@ ${hasMath ? '<script>window.MathJax={tex:{inlineMath:[["\\\\(","\\\\)"]],display
                 req.onblocked = () => resolve();
             });
 
-            // 3. Clear Cache Storage (Service Worker caches)
-            if ('caches' in window) {
+            // 3. Clear Service Worker registrations — first, so the offline
+            // worker (sw.js) cannot refill the caches cleared below
+            if ('serviceWorker' in navigator) {
                 try {
-                    const keys = await caches.keys();
-                    await Promise.all(keys.map(key => caches.delete(key)));
+                    const regs = await navigator.serviceWorker.getRegistrations();
+                    await Promise.all(regs.map(r => r.unregister()));
                 } catch (e) {
-                    console.warn('GigaReset: caches clear failed:', e);
+                    console.warn('GigaReset: SW unregister failed:', e);
                 }
             }
 
-            // 4. Clear Service Worker registrations
-            if ('serviceWorker' in navigator) {
+            // 4. Clear Cache Storage (Service Worker caches)
+            if ('caches' in window) {
                 try {
-                    const regs = await navigator.serviceWorker.getRegistrations();
-                    await Promise.all(regs.map(r => r.unregister()));
+                    const keys = await caches.keys();
+                    await Promise.all(keys.map(key => caches.delete(key)));
                 } catch (e) {
-                    console.warn('GigaReset: SW unregister failed:', e);
+                    console.warn('GigaReset: caches clear failed:', e);
                 }
             }
 
@@ -812,6 +979,7 @@ ${hasMath ? '<script>window.MathJax={tex:{inlineMath:[["\\\\(","\\\\)"]],display
   <pre><code>![${t('help.altText')}](relative/path/to/image.png)</code></pre>
   <p><small>${t('help.imageFormats')}</small></p>
   <p><small>${t('help.imageTip')}</small></p>
+  <p><small>${t('help.imagePaste')}</small></p>
 </section>
 <section>
   <h4>${t('help.math')}</h4>
@@ -832,10 +1000,36 @@ graph TD
   A[${t('help.mermaidStart')}] --> B[${t('help.mermaidProcess')}]
   B --> C[${t('help.mermaidEnd')}]
 \`\`\`</code></pre>
+  <p><small>${t('help.mermaidExport')}</small></p>
+</section>
+<section>
+  <h4>${t('help.alerts')}</h4>
+  <p>${t('help.alertsDesc')}</p>
+  <pre><code>&gt; [!NOTE]
+&gt; ${t('alert.note')}</code></pre>
+</section>
+<section>
+  <h4>${t('help.frontMatter')}</h4>
+  <p>${t('help.frontMatterDesc')}</p>
+  <pre><code>---
+title: My Notes
+tags: [physics, md]
+---</code></pre>
+</section>
+<section>
+  <h4>${t('help.wikiLinks')}</h4>
+  <p>${t('help.wikiLinksDesc')}</p>
+  <pre><code>[[Page Name]]
+[[folder/page|alias]]
+[[page#heading]]</code></pre>
 </section>
 <section>
   <h4>${t('help.pdf')}</h4>
   <p>${t('help.pdfDesc')}</p>
+</section>
+<section>
+  <h4>${t('help.preview')}</h4>
+  <p>${t('help.previewDesc')}</p>
 </section>`;
     }
 
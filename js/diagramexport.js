@@ -0,0 +1,236 @@
+/**
+ * diagramexport.js — Mermaid Diagram Export
+ * Right-click a rendered diagram in the preview (or use the ribbon button for every
+ * diagram of the current file) to download it, or save it into the workspace, as
+ * SVG or PNG. Saved images are ordinary workspace image files and can be referenced
+ * from any document.
+ */
+import { t } from './i18n.js';
+
+const PNG_SCALE = 2; // device pixels per SVG pixel in exported PNGs
+
+const FORMATS = {
+    svg: 'image/svg+xml',
+    png: 'image/png'
+};
+
+export class DiagramExport {
+    constructor(app) {
+        this.app = app;
+        this.menu = document.getElementById('diagram-menu');
+        this.menuTitle = document.getElementById('dgm-title');
+        this._target = null; // diagram element, or null for all diagrams
+
+        this._bindEvents();
+    }
+
+    _bindEvents() {
+        this.app.preview.container.addEventListener('contextmenu', (e) => {
+            const el = e.target.closest('div.mermaid');
+            if (!el || !el.querySelector('svg')) return;
+            e.preventDefault();
+            this._showMenu(e.clientX, e.clientY, el);
+        });
+
+        document.getElementById('ribbon-export-diagrams')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const rect = e.currentTarget.getBoundingClientRect();
+            this._showMenu(rect.right + 4, rect.top, null);
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!this.menu.contains(e.target)) this._hideMenu();
+        });
+        document.addEventListener('contextmenu', (e) => {
+            if (!e.target.closest?.('div.mermaid')) this._hideMenu();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this._hideMenu();
+        });
+
+        const actions = {
+            'dgm-download-svg': ['svg', 'download'],
+            'dgm-download-png': ['png', 'download'],
+            'dgm-save-svg': ['svg', 'workspace'],
+            'dgm-save-png': ['png', 'workspace']
+        };
+        for (const [id, [format, destination]] of Object.entries(actions)) {
+            document.getElementById(id)?.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const target = this._target;
+                this._hideMenu();
+                if (target) this.exportDiagram(target, format, destination);
+                else this.exportAll(format, destination);
+            });
+        }
+    }
+
+    _showMenu(x, y, target) {
+        this._target = target;
+        if (target) {
+            this.menuTitle.textContent = t('diagram.one', { n: this._diagrams().indexOf(target) + 1 });
+        } else {
+            this.menuTitle.textContent = t('diagram.all', { count: this._renderedDiagrams().length });
+        }
+
+        // Keep menu within viewport
+        const menuWidth = 220;
+        const menuHeight = 180;
+        if (x + menuWidth > window.innerWidth) x = window.innerWidth - menuWidth - 8;
+        if (y + menuHeight > window.innerHeight) y = window.innerHeight - menuHeight - 8;
+
+        this.menu.style.left = x + 'px';
+        this.menu.style.top = y + 'px';
+        this.menu.classList.add('visible');
+    }
+
+    _hideMenu() {
+        this.menu.classList.remove('visible');
+    }
+
+    _diagrams() {
+        return [...this.app.preview.container.querySelectorAll('div.mermaid')];
+    }
+
+    // Diagrams that currently show an SVG (not pending, not a parse error)
+    _renderedDiagrams() {
+        return this._diagrams().filter(el => el.querySelector('svg'));
+    }
+
+    /**
+     * Export one rendered diagram.
+     * @param {HTMLElement} el - `div.mermaid` element in the preview
+     * @param {'svg'|'png'} format
+     * @param {'download'|'workspace'} destination
+     * @returns {Promise<string|null>} file name, or null on failure
+     */
+    async exportDiagram(el, format, destination) {
+        try {
+            const name = await this._export(el, format, destination);
+            const key = destination === 'workspace' ? 'toast.diagramSaved' : 'toast.downloaded';
+            this.app.showToast(t(key, { name }), 'success');
+            return name;
+        } catch (err) {
+            console.error('Diagram export failed:', err);
+            this.app.showToast(t('toast.diagramExportError'), 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Export every rendered diagram of the current file.
+     * @param {'svg'|'png'} format
+     * @param {'download'|'workspace'} destination
+     * @returns {Promise<string[]>} names of the exported files
+     */
+    async exportAll(format, destination) {
+        const diagrams = this._renderedDiagrams();
+        if (diagrams.length === 0) {
+            this.app.showToast(t('toast.noDiagrams'), 'info');
+            return [];
+        }
+
+        const names = [];
+        let failed = 0;
+        for (const el of diagrams) {
+            try {
+                names.push(await this._export(el, format, destination, false));
+            } catch (err) {
+                console.error('Diagram export failed:', err);
+                failed++;
+            }
+        }
+        if (destination === 'workspace' && names.length > 0) await this._afterSave();
+
+        if (failed > 0) {
+            this.app.showToast(t('toast.diagramExportError'), 'error');
+        } else {
+            this.app.showToast(t('toast.diagramsExported', { count: names.length }), 'success');
+        }
+        return names;
+    }
+
+    async _export(el, format, destination, refresh = true) {
+        const svgEl = el.querySelector('svg');
+        if (!svgEl) throw new Error('Diagram is not rendered');
+
+        const { svg, width, height } = this._serializeSvg(svgEl, el);
+        const blob = format === 'png'
+            ? await this._rasterize(svg, width, height)
+            : new Blob([svg], { type: FORMATS.svg });
+        const name = this._fileName(el, format);
+
+        if (destination === 'download') {
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = name;
+            a.click();
+            URL.revokeObjectURL(url);
+        } else {
+            const path = this._baseDir() + '/' + name;
+            await this.app.fileManager.saveFile(path, name, FORMATS[format], await blob.arrayBuffer(), 'file');
+            if (refresh) await this._afterSave();
+        }
+        return name;
+    }
+
+    async _afterSave() {
+        await this.app.workspace.refresh();
+        this.app.eventBus.emit('files:changed');
+    }
+
+    /**
+     * Standalone SVG document for a rendered diagram: explicit size, XML
+     * namespaces and the preview's diagram background, so it reads the same
+     * outside the app as in the preview.
+     */
+    _serializeSvg(svgEl, container) {
+        const viewBox = svgEl.viewBox?.baseVal;
+        const rect = svgEl.getBoundingClientRect();
+        const width = Math.ceil(viewBox?.width || rect.width) || 300;
+        const height = Math.ceil(viewBox?.height || rect.height) || 150;
+
+        const clone = svgEl.cloneNode(true);
+        clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        clone.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+        clone.setAttribute('width', width);
+        clone.setAttribute('height', height);
+        clone.style.maxWidth = '';
+        clone.style.backgroundColor = getComputedStyle(container).backgroundColor;
+
+        const svg = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+        return { svg, width, height };
+    }
+
+    async _rasterize(svg, width, height) {
+        const img = new Image();
+        img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+        await img.decode();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width * PNG_SCALE;
+        canvas.height = height * PNG_SCALE;
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+
+        // toBlob throws if the browser considers the SVG (e.g. HTML labels) unsafe to read back
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), FORMATS.png);
+        });
+    }
+
+    // "<file>-diagram-<n>.<ext>", numbered by position in the document, so
+    // exporting again replaces the earlier image
+    _fileName(el, format) {
+        const active = this.app.workspace.getActiveFilePath() || '/untitled.md';
+        const base = active.split('/').pop().replace(/\.[^.]+$/, '') || 'untitled';
+        const n = this._diagrams().indexOf(el) + 1;
+        return `${base}-diagram-${n}.${format}`;
+    }
+
+    // Saved diagrams go next to the current file
+    _baseDir() {
+        const active = this.app.workspace.getActiveFilePath() || '/';
+        return active.slice(0, active.lastIndexOf('/'));
+    }
+}
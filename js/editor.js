@@ -3,6 +3,22 @@
  * Full-featured textarea editor with line numbers, proper undo/redo,
  * keyboard shortcuts, auto-indent, list continuation, and toolbar actions.
  */
+import { t } from './i18n.js';
+import { computeRelativePath, resolveRelativeAssetPath } from './pathutils.js';
+import { extractFrontMatter } from './frontmatter.js';
+
+const PASTE_FOLDER_KEY = 'realtimemd-paste-folder';
+const DEFAULT_PASTE_FOLDER = './assets/';
+
+// Clipboard image types the preview can display, with the extension to save them under
+const PASTE_IMAGE_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg'
+};
+
 export class Editor {
     constructor(app) {
         this.app = app;
@@ -26,6 +42,7 @@ export class Editor {
         this.textarea.addEventListener('input', () => this._onInput());
         this.textarea.addEventListener('scroll', () => this._syncLineNumbers());
         this.textarea.addEventListener('keydown', (e) => this._onKeyDown(e));
+        this.textarea.addEventListener('paste', (e) => this._onPaste(e));
         this.textarea.addEventListener('focus', () => this._takeSnapshotIfNeeded());
         this._updateLineNumbers();
     }
@@ -88,6 +105,136 @@ export class Editor {
         this.lineNumbers.scrollTop = this.textarea.scrollTop;
     }
 
+    // --- Line geometry ---
+    // Lines wrap (pre-wrap), so the pixel offset of a source line is measured with a
+    // hidden mirror that has the textarea's width and font, one block per line.
+    // Offsets are cached until the text or the width changes.
+    _measureLines() {
+        const value = this.textarea.value;
+        const width = this.textarea.clientWidth;
+        if (this._lineTops && this._measuredValue === value && this._measuredWidth === width) {
+            return this._lineTops;
+        }
+
+        if (!this._measureEl) {
+            this._measureEl = document.createElement('div');
+            this._measureEl.className = 'editor-measure';
+            this._measureEl.setAttribute('aria-hidden', 'true');
+            this.textarea.parentNode.appendChild(this._measureEl);
+        }
+        const measure = this._measureEl;
+        measure.style.width = width + 'px';
+
+        const fragment = document.createDocumentFragment();
+        for (const line of value.split('\n')) {
+            const row = document.createElement('div');
+            // Zero-width space keeps empty lines one line tall
+            row.textContent = line || '\u200b';
+            fragment.appendChild(row);
+        }
+        measure.replaceChildren(fragment);
+
+        // tops[i] = offset of line i + 1; the last entry marks the end of the text
+        const tops = [];
+        for (let row = measure.firstChild; row; row = row.nextSibling) {
+            tops.push(row.offsetTop);
+        }
+        const lastRow = measure.lastChild;
+        tops.push(lastRow.offsetTop + lastRow.offsetHeight);
+        measure.replaceChildren();
+
+        this._lineTops = tops;
+        this._measuredValue = value;
+        this._measuredWidth = width;
+        return tops;
+    }
+
+    /**
+     * Source line at the top of the visible area, as a fractional 1-based line
+     * number (12.5 = halfway through line 12).
+     */
+    getLineAtScroll() {
+        const tops = this._measureLines();
+        const y = this.textarea.scrollTop;
+        let lo = 0;
+        let hi = tops.length - 2;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (tops[mid] <= y) lo = mid;
+            else hi = mid - 1;
+        }
+        const height = tops[lo + 1] - tops[lo] || 1;
+        return lo + 1 + Math.min(1, Math.max(0, (y - tops[lo]) / height));
+    }
+
+    /**
+     * Scroll so that the given (fractional, 1-based) line is at the top.
+     */
+    scrollToLine(line) {
+        const tops = this._measureLines();
+        const idx = Math.min(Math.max(Math.floor(line) - 1, 0), tops.length - 2);
+        const frac = Math.min(Math.max(line - (idx + 1), 0), 1);
+        this.textarea.scrollTop = tops[idx] + (tops[idx + 1] - tops[idx]) * frac;
+    }
+
+    /**
+     * Move the caret to the start of a 1-based line and scroll it into view
+     * (only if it is not already visible).
+     */
+    goToLine(line) {
+        const pos = this._lineStartOffset(line) ?? this.textarea.value.lastIndexOf('\n') + 1;
+        this.textarea.focus({ preventScroll: true });
+        this.textarea.setSelectionRange(pos, pos);
+
+        const tops = this._measureLines();
+        const idx = Math.min(Math.max(line - 1, 0), tops.length - 2);
+        const top = tops[idx];
+        const bottom = tops[idx + 1];
+        const el = this.textarea;
+        if (top < el.scrollTop || bottom > el.scrollTop + el.clientHeight) {
+            // Place the line a third of the way down the viewport
+            el.scrollTop = Math.max(0, top - el.clientHeight / 3);
+        }
+    }
+
+    // Character offset where a 1-based line starts, or null past the last line
+    _lineStartOffset(line) {
+        const val = this.textarea.value;
+        let pos = 0;
+        for (let i = 1; i < line; i++) {
+            const next = val.indexOf('\n', pos);
+            if (next === -1) return null;
+            pos = next + 1;
+        }
+        return pos;
+    }
+
+    /**
+     * Check or uncheck the task marker ([ ], [x] or [X]) on a 1-based source line,
+     * behind any quote/list markers ("> 1. [ ] todo"). The edit is undoable and goes
+     * through the normal input path (preview update, autosave). Returns false if
+     * the line has no task marker.
+     */
+    setTaskChecked(line, checked) {
+        const lineStart = this._lineStartOffset(line);
+        if (lineStart === null) return false;
+        const val = this.textarea.value;
+        const lineEnd = val.indexOf('\n', lineStart);
+        const text = val.substring(lineStart, lineEnd === -1 ? val.length : lineEnd);
+        const match = text.match(/^((?:[ \t]*(?:>|[-+*](?=[ \t])|\d{1,9}[.)](?=[ \t])))*[ \t]*)\[([ xX])\]/);
+        if (!match) return false;
+        if ((match[2] !== ' ') === checked) return true;
+
+        const markPos = lineStart + match[1].length + 1;
+        const { selectionStart, selectionEnd } = this.textarea;
+        this._pushUndoBeforeAction();
+        this.textarea.value = val.substring(0, markPos) + (checked ? 'x' : ' ') + val.substring(markPos + 1);
+        this.textarea.setSelectionRange(selectionStart, selectionEnd);
+        this._lastSnapshot = this.textarea.value;
+        this._onInput();
+        return true;
+    }
+
     // --- Undo/Redo System ---
     // Takes a snapshot of the current state if the content changed since the last snapshot
     _takeSnapshotIfNeeded() {
@@ -209,6 +356,159 @@ export class Editor {
         this._onInput();
     }
 
+    /**
+     * Folder pasted images are saved to, relative to the active file.
+     * An `assets` key in the document's front matter overrides the saved setting.
+     */
+    getPasteFolder() {
+        const folder = extractFrontMatter(this.textarea.value)?.data.assets;
+        if (typeof folder === 'string' && folder.trim()) return folder.trim();
+        return this.getDefaultPasteFolder();
+    }
+
+    // Paste folder for documents without an `assets` front matter key
+    getDefaultPasteFolder() {
+        return localStorage.getItem(PASTE_FOLDER_KEY) || DEFAULT_PASTE_FOLDER;
+    }
+
+    // Save the default paste folder; an empty value restores ./assets/
+    setPasteFolder(folder) {
+        if (folder && folder.trim()) {
+            localStorage.setItem(PASTE_FOLDER_KEY, folder.trim());
+        } else {
+            localStorage.removeItem(PASTE_FOLDER_KEY);
+        }
+    }
+
+    _onPaste(e) {
+        const data = e.clipboardData;
+        if (!data) return;
+        // Office apps put a picture of the copied cells next to the text; paste the text
+        if (data.getData('text/plain')) return;
+
+        const files = [...data.items]
+            .filter(item => item.kind === 'file' && PASTE_IMAGE_TYPES[item.type])
+            .map(item => item.getAsFile())
+            .filter(Boolean);
+        if (files.length === 0) return;
+
+        e.preventDefault();
+        this.pasteImages(files);
+    }
+
+    /**
+     * Save image files to the paste folder and insert a Markdown image for each
+     * at the cursor, as a single undo step.
+     * @param {File[]} files
+     */
+    async pasteImages(files) {
+        const fm = this.app.fileManager;
+        const activePath = this.app.workspace.getActiveFilePath() || '/untitled.md';
+        // The root folder normalizes to ''
+        const folder = resolveRelativeAssetPath(activePath, this.getPasteFolder()) || '';
+        // Where the paste happened; typing while the files are saved moves it
+        const pasted = {
+            value: this.textarea.value,
+            start: this.textarea.selectionStart,
+            end: this.textarea.selectionEnd
+        };
+
+        const links = [];
+        try {
+            await this._ensureFolder(folder);
+            for (const file of files) {
+                const name = await this._pasteFileName(folder, PASTE_IMAGE_TYPES[file.type]);
+                const path = folder + '/' + name;
+                await fm.saveFile(path, name, file.type, await file.arrayBuffer(), 'file');
+                const rel = computeRelativePath(activePath, path);
+                links.push(`![](${/\s/.test(rel) ? `<${rel}>` : rel})`);
+            }
+        } catch (err) {
+            console.error('Paste image error:', err);
+            this.app.showToast(t('toast.pasteImageError'), 'error');
+        }
+        // Files saved before a failure are still linked, so nothing is left orphaned.
+        // Another file may have been opened meanwhile; the links are relative to this one
+        if (links.length > 0 && this.app.workspace.getActiveFilePath() === activePath) {
+            this._insertAtPastePosition(pasted, links.join('\n'));
+        }
+        if (links.length === 0) return;
+        await this.app.workspace.refresh();
+        this.app.eventBus.emit('files:changed');
+        if (links.length === files.length) {
+            this.app.showToast(t('toast.imagePasted', { count: links.length }), 'success');
+        }
+    }
+
+    /**
+     * Replace the selection recorded at paste time with text, as one undo step.
+     * The recorded range is first carried through the edit made since then
+     * (the changed span between the old and current text); the user's current
+     * selection is kept, shifted past the inserted text when it lies after it.
+     */
+    _insertAtPastePosition(pasted, text) {
+        const ta = this.textarea;
+        const old = pasted.value;
+        const val = ta.value;
+        const maxCommon = Math.min(old.length, val.length);
+        let prefix = 0;
+        while (prefix < maxCommon && old[prefix] === val[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < maxCommon - prefix && old[old.length - 1 - suffix] === val[val.length - 1 - suffix]) suffix++;
+
+        // Offsets inside the changed span move to the end of what replaced it
+        const map = (pos) => {
+            if (pos <= prefix) return pos;
+            if (pos >= old.length - suffix) return pos + val.length - old.length;
+            return val.length - suffix;
+        };
+        const start = map(pasted.start);
+        const end = Math.max(start, map(pasted.end));
+        const shift = (pos) => {
+            if (pos < start) return pos;
+            if (pos >= end) return pos - (end - start) + text.length;
+            return start + text.length;
+        };
+        const selStart = shift(ta.selectionStart);
+        const selEnd = shift(ta.selectionEnd);
+
+        this._pushUndoBeforeAction();
+        const newValue = val.substring(0, start) + text + val.substring(end);
+        ta.value = newValue;
+        ta.selectionStart = selStart;
+        ta.selectionEnd = selEnd;
+        this._lastSnapshot = newValue;
+        this._onInput();
+    }
+
+    // Create directory entries for the folder and any missing parents
+    async _ensureFolder(folder) {
+        const fm = this.app.fileManager;
+        let path = '';
+        for (const part of folder.split('/').filter(Boolean)) {
+            path += '/' + part;
+            const existing = await fm.getFile(path);
+            if (!existing) {
+                await fm.saveFile(path, part, '', null, 'directory');
+            } else if (existing.kind !== 'directory') {
+                throw new Error(`${path} is a file, not a folder`);
+            }
+        }
+    }
+
+    // image-YYYYMMDD-HHMMSS.ext, with -1, -2… appended while the name is taken
+    async _pasteFileName(folder, ext) {
+        const d = new Date();
+        const pad = n => String(n).padStart(2, '0');
+        const stamp = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`
+            + `-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+        let name = `image-${stamp}.${ext}`;
+        for (let i = 1; await this.app.fileManager.getFile(folder + '/' + name); i++) {
+            name = `image-${stamp}-${i}.${ext}`;
+        }
+        return name;
+    }
+
     _onKeyDown(e) {
         // Escape — close Find/Replace bar if open
         if (e.key === 'Escape' && this.app.findReplace?.isOpen) {
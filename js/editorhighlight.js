@@ -0,0 +1,310 @@
+/**
+ * editorhighlight.js — Markdown Syntax Highlighting in the Editor
+ * Works like the FindReplace overlay: a layer behind the textarea, with the same
+ * font, padding and width, shows the text colored while the textarea's own text is
+ * transparent (the caret and selection stay on the textarea).
+ *
+ * The layer has one row per source line, highlighted by a line tokenizer that
+ * carries block state (code fences, math blocks, comments, front matter) from line
+ * to line. After an edit only the changed rows are rebuilt, plus following rows
+ * whose entry state changed (e.g. after typing an opening ```), so typing stays
+ * fast in large files.
+ */
+import { highlightCode } from './highlight.js';
+
+// Longer documents are shown as plain text
+const MAX_LENGTH = 2000000;
+// Highlighted lines remembered by (state, text); cleared when full
+const LINE_CACHE_LIMIT = 20000;
+
+// ---- Line tokenizer ----
+// Block states: 'start' (first line; front matter may open), '' (normal),
+// 'front', 'math', 'comment', and 'fence:<fence>:<lang>' inside fenced code.
+
+function escapeHtml(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function span(cls, text) {
+    return text ? `<span class="md-${cls}">${escapeHtml(text)}</span>` : '';
+}
+
+// Inline rules, tried in order at each position (sticky regexes, as in highlight.js)
+const INLINE_RULES = [
+    { re: /\\[!-\/:-@\[-`{-~]/y, cls: 'escape' },
+    { re: /(`+)(?:(?!\1)[^])+?\1(?!`)/y, cls: 'code' },
+    { re: /\$\$.+?\$\$|\$(?![\s$])(?:\\.|[^$\\])+?(?<![\s\\])\$|\\\(.+?\\\)/y, cls: 'math' },
+    { re: /<!--.*?(?:-->|$)/y, cls: 'comment' },
+    { re: /<(?:[A-Za-z][A-Za-z0-9+.\-]{1,31}:[^\s<>]*|[\w.!#$%&'*+\/=?^`{|}~-]+@[\w-]+(?:\.[\w-]+)+)>/y, cls: 'url' },
+    { re: /<\/?[A-Za-z][\w:.-]*(?:\s+[^\s=>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*\s*\/?>/y, cls: 'html' },
+    { re: /\[\[[^\[\]]+\]\]|\[\^[^\]\s]+\]/y, cls: 'link' },
+    {
+        // [text](url "title"), ![alt](src), [text][ref]
+        re: /(!?\[(?:\\.|[^\[\]\\]|\[(?:\\.|[^\[\]\\])*\])*\])(\((?:\\.|[^()\\]|\((?:\\.|[^()\\])*\))*\)|\[[^\[\]]*\])/y,
+        render: (m) => span('link', m[1]) + span('url', m[2])
+    },
+    { re: /(\*\*|__)(?=\S)(?:\\.|(?!\1).)+?(?<=\S)\1/y, cls: 'strong' },
+    { re: /~~(?=\S).+?(?<=\S)~~/y, cls: 'strike' },
+    { re: /\*(?![\s*])(?:\\.|[^*\\])+?(?<![\s\\])\*|(?<!\w)_(?![\s_])(?:\\.|[^_\\])+?(?<![\s\\])_(?!\w)/y, cls: 'em' },
+    { re: /(?:https?:\/\/|www\.)[^\s<>]*[^\s<>?!.,:*_~)'"]/y, cls: 'url' },
+    // Runs of characters that cannot start any token above
+    { re: /[^\\`$<\[!*_~hw]+/y, cls: null },
+];
+
+function highlightInline(text) {
+    let html = '';
+    let plain = '';
+    let pos = 0;
+    outer:
+    while (pos < text.length) {
+        for (const rule of INLINE_RULES) {
+            rule.re.lastIndex = pos;
+            const m = rule.re.exec(text);
+            if (!m || m[0].length === 0) continue;
+            if (rule.cls === null) {
+                plain += m[0];
+            } else {
+                html += escapeHtml(plain);
+                plain = '';
+                html += rule.render ? rule.render(m) : span(rule.cls, m[0]);
+            }
+            pos += m[0].length;
+            continue outer;
+        }
+        plain += text[pos++];
+    }
+    return html + escapeHtml(plain);
+}
+
+const reFenceOpen = /^(\s*)(`{3,}|~{3,})(.*)$/;
+const reHeading = /^( {0,3})(#{1,6})(?=\s|$)(.*)$/;
+const reHr = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const reSetext = /^ {0,3}=+[ \t]*$/;
+const reTableDelimiter = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)+\|?[ \t]*$/;
+const reLinkDef = /^( {0,3}\[(?:\\.|[^\]\\])+\]:)([ \t]*)(\S+)(.*)$/;
+const reQuote = /^ {0,3}>[ \t]?/;
+const reListItem = /^([ \t]*)([-+*]|\d{1,9}[.)])([ \t]+|$)/;
+const reTask = /^\[[ xX]\](?=\s|$)/;
+
+/**
+ * Highlight one source line.
+ * @param {string} line
+ * @param {string} state - block state at the start of the line
+ * @returns {{ html: string, next: string }} HTML and the state for the next line
+ */
+function highlightLine(line, state) {
+    if (state.startsWith('fence:')) {
+        const sep = state.indexOf(':', 6);
+        const fence = state.slice(6, sep);
+        const lang = state.slice(sep + 1);
+        const close = /^\s*(`{3,}|~{3,})\s*$/.exec(line);
+        if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+            return { html: span('punct', line), next: '' };
+        }
+        const code = (lang ? highlightCode(line, lang) : null) ?? escapeHtml(line);
+        return { html: code ? `<span class="md-codeblock">${code}</span>` : '', next: state };
+    }
+    if (state === 'front') {
+        const next = /^(?:---|\.\.\.)\s*$/.test(line) ? '' : 'front';
+        return { html: span(next ? 'meta' : 'punct', line), next };
+    }
+    if (state === 'math') {
+        return { html: span('math', line), next: line.includes('$$') ? '' : 'math' };
+    }
+    if (state === 'comment') {
+        const end = line.indexOf('-->');
+        if (end === -1) return { html: span('comment', line), next: 'comment' };
+        return { html: span('comment', line.slice(0, end + 3)) + highlightInline(line.slice(end + 3)), next: '' };
+    }
+    if (state === 'start' && /^---\s*$/.test(line)) {
+        return { html: span('punct', line), next: 'front' };
+    }
+    return highlightBlockLine(line);
+}
+
+// A line outside any multi-line construct
+function highlightBlockLine(line) {
+    if (reHr.test(line) || reSetext.test(line) || reTableDelimiter.test(line)) {
+        return { html: span('punct', line), next: '' };
+    }
+    const def = reLinkDef.exec(line);
+    if (def) {
+        return { html: span('link', def[1]) + def[2] + span('url', def[3]) + highlightInline(def[4]), next: '' };
+    }
+
+    // Container markers: blockquotes, then list items and task boxes
+    let html = '';
+    let rest = line;
+    let m;
+    while ((m = reQuote.exec(rest))) {
+        html += span('quote', m[0]);
+        rest = rest.slice(m[0].length);
+    }
+    if ((m = reListItem.exec(rest))) {
+        html += escapeHtml(m[1]) + span('list', m[2]) + m[3];
+        rest = rest.slice(m[0].length);
+        const task = reTask.exec(rest);
+        if (task) {
+            html += span('task', task[0]);
+            rest = rest.slice(task[0].length);
+        }
+    }
+
+    const fence = reFenceOpen.exec(rest);
+    if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) {
+        const lang = fence[3].trim().split(/\s+/)[0];
+        const info = fence[3].slice(0, fence[3].indexOf(lang) + lang.length);
+        html += escapeHtml(fence[1]) + span('punct', fence[2]) + span('lang', info) +
+            escapeHtml(fence[3].slice(info.length));
+        return { html, next: `fence:${fence[2]}:${lang}` };
+    }
+
+    const heading = reHeading.exec(rest);
+    if (heading) {
+        html += `<span class="md-heading">${escapeHtml(heading[1])}${span('punct', heading[2])}` +
+            `${highlightInline(heading[3])}</span>`;
+        return { html, next: '' };
+    }
+
+    if (/^\s*\$\$/.test(rest)) {
+        const closed = rest.trim().length > 2 && rest.trim().slice(2).includes('$$');
+        return { html: html + span('math', rest), next: closed ? '' : 'math' };
+    }
+    if (/^\s*<!--/.test(rest) && !rest.includes('-->')) {
+        return { html: html + span('comment', rest), next: 'comment' };
+    }
+    return { html: html + highlightInline(rest), next: '' };
+}
+
+// ---- Editor layer ----
+
+export class EditorHighlight {
+    constructor(editor) {
+        this.editor = editor;
+        this.textarea = editor.textarea;
+        this.enabled = false;
+
+        this._lines = [];        // source lines shown in the layer
+        this._states = ['start']; // block state entering each line, plus one after the last
+        this._cache = new Map(); // state + '\n' + line → { html, next }
+        this._width = 0;
+
+        this._initDOM();
+        this._bindEvents();
+        this._update();
+    }
+
+    _initDOM() {
+        this.layer = document.createElement('div');
+        this.layer.className = 'editor-highlight';
+        this.layer.setAttribute('aria-hidden', 'true');
+        // Behind the textarea and below the find overlay, so match marks stay visible
+        const parent = this.textarea.parentNode;
+        parent.insertBefore(this.layer, parent.querySelector('.find-highlight-overlay') || this.textarea);
+    }
+
+    _bindEvents() {
+        // Fired for typing as well as programmatic changes (setValue, toolbar, undo)
+        this.editor.app.eventBus.on('editor:input', () => this._update());
+        this.textarea.addEventListener('scroll', () => this._syncScroll());
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => this._syncGeometry()).observe(this.textarea);
+        }
+        window.addEventListener('resize', () => this._syncGeometry());
+    }
+
+    _setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+        this.enabled = enabled;
+        this.textarea.classList.toggle('syntax-highlighted', enabled);
+        if (!enabled) {
+            this.layer.replaceChildren();
+            this._lines = [];
+            this._states = ['start'];
+        }
+    }
+
+    _update() {
+        const value = this.textarea.value;
+        this._setEnabled(value.length <= MAX_LENGTH);
+        if (!this.enabled) return;
+
+        // The scrollbar comes and goes with the text length, changing the wrap width
+        if (this.textarea.clientWidth !== this._width) this._syncGeometry();
+
+        const lines = value.split('\n');
+        const old = this._lines;
+
+        // Unchanged lines at the start and at the end
+        const common = Math.min(old.length, lines.length);
+        let start = 0;
+        while (start < common && old[start] === lines[start]) start++;
+        let tail = 0;
+        while (tail < common - start && old[old.length - 1 - tail] === lines[lines.length - 1 - tail]) tail++;
+
+        const oldRows = this.layer.children;
+        const anchor = oldRows[old.length - tail] || null; // first unchanged row after the edit
+        if (start === 0 && tail === 0) {
+            this.layer.replaceChildren(); // another file, or everything replaced
+        } else {
+            for (let i = old.length - tail - 1; i >= start; i--) oldRows[i].remove();
+        }
+
+        const changedEnd = lines.length - tail;
+        const states = this._states.slice(0, start);
+        // Changed lines get new rows, parsed in one go
+        const parts = [];
+        let state = this._states[start];
+        for (let i = start; i < changedEnd; i++) {
+            states.push(state);
+            const { html, next } = this._highlight(lines[i], state);
+            // Zero-width space keeps empty lines one line tall
+            parts.push(`<div>${html || '\u200b'}</div>`);
+            state = next;
+        }
+        if (anchor) anchor.insertAdjacentHTML('beforebegin', parts.join(''));
+        else this.layer.insertAdjacentHTML('beforeend', parts.join(''));
+
+        // Unchanged lines after the edit are redone only while their entry state differs
+        const tailStates = this._states.slice(old.length - tail);
+        const rows = this.layer.children;
+        let k = 0;
+        for (; k < tail && tailStates[k] !== state; k++) {
+            tailStates[k] = state;
+            const { html, next } = this._highlight(lines[changedEnd + k], state);
+            rows[changedEnd + k].innerHTML = html || '\u200b';
+            state = next;
+        }
+        if (k === tail) tailStates[tail] = state;
+
+        this._lines = lines;
+        this._states = states.concat(tailStates);
+        this._syncScroll();
+    }
+
+    _highlight(line, state) {
+        const key = state + '\n' + line;
+        let result = this._cache.get(key);
+        if (!result) {
+            if (this._cache.size >= LINE_CACHE_LIMIT) this._cache.clear();
+            result = highlightLine(line, state);
+            this._cache.set(key, result);
+        }
+        return result;
+    }
+
+    // Cover exactly the textarea's text area, so lines wrap at the same width
+    _syncGeometry() {
+        const ta = this.textarea;
+        this._width = ta.clientWidth;
+        this.layer.style.left = ta.offsetLeft + 'px';
+        this.layer.style.top = ta.offsetTop + 'px';
+        this.layer.style.width = ta.clientWidth + 'px';
+        this.layer.style.height = ta.clientHeight + 'px';
+        this._syncScroll();
+    }
+
+    _syncScroll() {
+        this.layer.scrollTop = this.textarea.scrollTop;
+    }
+}
@@ -1,6 +1,7 @@
 /**
  * extensions.js — Plugin System & Extension Hooks
- * Provides APIs for future extensibility: ads, auth, tracking, custom toolbar buttons.
+ * Provides APIs for future extensibility: ads, auth, tracking, custom toolbar buttons,
+ * and Markdown syntax (inline rules, block rules, fenced code renderers).
  */
 export class ExtensionManager {
     constructor(app) {
@@ -21,6 +22,7 @@ export class ExtensionManager {
         this.toolbarButtons = [];
         this.statusBarItems = [];
         this.sidebarPanels = [];
+        this.syntaxRules = []; // { pluginId, remove } per Markdown syntax addition
 
         // Ad slots
         this.adSlots = {
@@ -103,6 +105,14 @@ export class ExtensionManager {
         this.toolbarButtons = this.toolbarButtons.filter(b => b.pluginId !== pluginId);
         this.statusBarItems = this.statusBarItems.filter(b => b.pluginId !== pluginId);
 
+        // Remove Markdown syntax
+        const syntax = this.syntaxRules.filter(r => r.pluginId === pluginId);
+        if (syntax.length > 0) {
+            syntax.forEach(r => r.remove());
+            this.syntaxRules = this.syntaxRules.filter(r => r.pluginId !== pluginId);
+            this.app.preview?._rerender();
+        }
+
         this.plugins.delete(pluginId);
     }
 
@@ -141,6 +151,63 @@ export class ExtensionManager {
         this.app.eventBus.emit('statusbar:update');
     }
 
+    /**
+     * Add inline Markdown syntax (for plugins), e.g. ==highlight== or @mentions
+     * @param {string} pluginId
+     * @param {Object} rule - { name, triggers, parse, render, priority }; see
+     *   MarkdownParser.addInlineRule. render(node, renderer) returns the node's HTML.
+     */
+    addInlineRule(pluginId, rule) {
+        if (!rule.name || !rule.triggers || typeof rule.parse !== 'function') {
+            console.error(`Plugin "${pluginId}": inline rule needs a name, triggers and parse()`);
+            return;
+        }
+        this._addSyntax(pluginId, rule, parser => parser.addInlineRule(rule));
+    }
+
+    /**
+     * Add block-level Markdown syntax (for plugins), e.g. ::: containers
+     * @param {string} pluginId
+     * @param {Object} rule - { name, start, continue, content, render, priority }; see
+     *   MarkdownParser.addBlockRule. render(node, renderer) returns the block's HTML.
+     */
+    addBlockRule(pluginId, rule) {
+        if (!rule.name || typeof rule.start !== 'function') {
+            console.error(`Plugin "${pluginId}": block rule needs a name and start()`);
+            return;
+        }
+        this._addSyntax(pluginId, rule, parser => parser.addBlockRule(rule));
+    }
+
+    /**
+     * Render fenced code blocks of one language (for plugins)
+     * @param {string} pluginId
+     * @param {string} lang - info string language, e.g. "abc"
+     * @param {Function} render - (node, renderer) → HTML, or null for the default output
+     * @param {number} [priority=0] - renderers for the same language run highest first
+     */
+    addCodeRenderer(pluginId, lang, render, priority = 0) {
+        this._addSyntax(pluginId, {
+            name: 'code_block',
+            priority,
+            render: (node, renderer, context) => (node.lang === lang ? render(node, renderer, context) : null)
+        });
+    }
+
+    _addSyntax(pluginId, rule, addToParser) {
+        const parser = this.app.preview.parser;
+        if (addToParser) addToParser(parser);
+        const entry = rule.render ? parser.renderer.addRule(rule.name, rule.render, rule.priority) : null;
+        this.syntaxRules.push({
+            pluginId,
+            remove: () => {
+                parser.removeRule(rule);
+                if (entry) parser.renderer.removeRule(rule.name, entry);
+            }
+        });
+        this.app.preview._rerender();
+    }
+
     /**
      * Enable an ad slot
      */
@@ -2,6 +2,8 @@
  * filemanager.js — IndexedDB-based Virtual File System
  * Handles file storage, blob URL management, and path resolution.
  */
+import { findBlobUrl } from './pathutils.js';
+
 const DB_NAME = 'realtimemd-workspace';
 const DB_VERSION = 1;
 const STORE_FILES = 'files';
@@ -218,23 +220,7 @@ export class FileManager {
     }
 
     getBlobUrl(srcPath) {
-        // Normalize: remove leading ./ if present
-        let normalized = srcPath.replace(/^\.\//, '');
-        if (!normalized.startsWith('/')) normalized = '/' + normalized;
-
-        // Check exact path match (preferred)
-        if (this.blobUrls.has(normalized)) {
-            return this.blobUrls.get(normalized);
-        }
-
-        // Fallback: match by filename only (backward compat for flat workspaces)
-        const srcFileName = normalized.split('/').pop();
-        for (const [path, url] of this.blobUrls) {
-            const fileName = path.split('/').pop();
-            if (fileName === srcFileName) return url;
-        }
-
-        return null;
+        return findBlobUrl(this.blobUrls, srcPath);
     }
 
     async initBlobUrls() {
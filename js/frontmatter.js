@@ -0,0 +1,284 @@
+/**
+ * frontmatter.js — YAML Front Matter
+ * Detects a "---" block on the first line of a document (closed by "---" or "...")
+ * and parses the YAML subset used for document metadata:
+ *   - mappings, nested by indentation
+ *   - block sequences ("- item") and flow collections ([a, b], {k: v})
+ *   - plain, 'single' and "double" quoted scalars; true/false, null, numbers
+ *   - literal (|) and folded (>) block scalars
+ *   - # comments
+ *
+ * Anything outside that subset (or a block that is not a mapping) is not treated
+ * as front matter, so the document renders exactly as written.
+ */
+
+const reOpen = /^---[ \t]*$/;
+const reClose = /^(?:---|\.\.\.)[ \t]*$/;
+const reLineEnding = /\r\n|\n|\r/;
+const reBlank = /^[ \t]*(?:#.*)?$/;
+const reSeqItem = /^-(?:[ \t]|$)/;
+const reKey = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[\]}>|,&*!%@`-][^:#]*?|-[^\s:#][^:#]*?)[ \t]*:(?:[ \t]+(.*))?$/;
+const reInt = /^[-+]?\d+$/;
+const reFloat = /^[-+]?(?:\d+\.\d*|\.\d+|\d+)(?:[eE][-+]?\d+)?$/;
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '0': '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ' };
+
+/**
+ * Split a document into front matter and body.
+ * @param {string} md
+ * @returns {{ data: Object, raw: string, endLine: number, body: string } | null}
+ *   endLine is the 1-based line of the closing delimiter; body is the text after it.
+ *   null when the document has no (valid) front matter.
+ */
+export function extractFrontMatter(md) {
+    const lines = md.split(reLineEnding);
+    if (!reOpen.test(lines[0])) return null;
+
+    let close = 1;
+    while (close < lines.length && !reClose.test(lines[close])) close++;
+    if (close >= lines.length) return null;
+
+    const yamlLines = lines.slice(1, close);
+    let data;
+    try {
+        data = parseYaml(yamlLines);
+    } catch (e) {
+        return null;
+    }
+    // An empty block ("---" twice) stays two thematic breaks, as in CommonMark
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) return null;
+
+    return {
+        data,
+        raw: yamlLines.join('\n'),
+        endLine: close + 1,
+        body: lines.slice(close + 1).join('\n')
+    };
+}
+
+/**
+ * Parse YAML lines (the supported subset) into a value. Throws on anything else.
+ * @param {string[]} lines
+ * @returns {*}
+ */
+export function parseYaml(lines) {
+    const parser = new YamlParser(lines);
+    const first = parser.peek();
+    if (first === null) return null;
+    const value = parser.parseBlock(indentOf(first));
+    if (parser.peek() !== null) throw new Error(`Unexpected line: ${parser.peek().trim()}`);
+    return value;
+}
+
+function indentOf(line) {
+    const indent = line.match(/^[ \t]*/)[0];
+    if (indent.includes('\t')) throw new Error('Tabs are not allowed for indentation');
+    return indent.length;
+}
+
+// Remove a trailing " # comment" from a plain (unquoted) scalar
+function stripComment(text) {
+    return text.replace(/(?:^|[ \t]+)#.*$/, '').trim();
+}
+
+class YamlParser {
+    constructor(lines) {
+        // Copied: "- key: value" items are rewritten in place while parsing
+        this.lines = lines.slice();
+        this.pos = 0;
+    }
+
+    /** Next significant line (skipping blanks and comments), or null. */
+    peek() {
+        while (this.pos < this.lines.length && reBlank.test(this.lines[this.pos])) this.pos++;
+        return this.pos < this.lines.length ? this.lines[this.pos] : null;
+    }
+
+    parseBlock(indent) {
+        const line = this.peek();
+        return reSeqItem.test(line.slice(indent)) ? this.parseSequence(indent) : this.parseMapping(indent);
+    }
+
+    parseMapping(indent) {
+        const map = {};
+        let line;
+        while ((line = this.peek()) !== null) {
+            const lineIndent = indentOf(line);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) throw new Error(`Bad indentation: ${line.trim()}`);
+            const content = line.slice(indent);
+            if (reSeqItem.test(content)) break;
+
+            const m = content.match(reKey);
+            if (!m) throw new Error(`Expected "key: value": ${content}`);
+            this.pos++;
+            map[this.parseScalar(m[1])] = this.parseValue(m[2] || '', indent, true);
+        }
+        return map;
+    }
+
+    parseSequence(indent) {
+        const list = [];
+        let line;
+        while ((line = this.peek()) !== null) {
+            const lineIndent = indentOf(line);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) throw new Error(`Bad indentation: ${line.trim()}`);
+            const content = line.slice(indent);
+            if (!reSeqItem.test(content)) break;
+
+            const rest = content.slice(1).replace(/^[ \t]+/, '');
+            if (reKey.test(rest)) {
+                // "- key: value" starts a mapping indented to the key's column
+                const column = line.length - rest.length;
+                this.lines[this.pos] = ' '.repeat(column) + rest;
+                list.push(this.parseMapping(column));
+            } else {
+                this.pos++;
+                list.push(this.parseValue(rest, indent, false));
+            }
+        }
+        return list;
+    }
+
+    /**
+     * Value after "key:" or "- ". An empty value introduces a nested block (a
+     * sequence under a key may sit at the key's own indent, as YAML allows).
+     */
+    parseValue(text, indent, isMappingValue) {
+        text = text.trim();
+        if (text === '' || text.startsWith('#')) {
+            const next = this.peek();
+            if (next === null) return null;
+            const nextIndent = indentOf(next);
+            if (nextIndent > indent) return this.parseBlock(nextIndent);
+            if (isMappingValue && nextIndent === indent && reSeqItem.test(next.slice(indent))) {
+                return this.parseSequence(indent);
+            }
+            return null;
+        }
+        if (text[0] === '|' || text[0] === '>') return this.parseBlockScalar(text, indent);
+        if (text[0] === '[' || text[0] === '{') return this.parseFlow(stripComment(text));
+        if (text[0] === '"' || text[0] === "'") return this.parseScalar(text);
+
+        // Plain scalars may continue on more-indented lines, folded with spaces
+        let value = stripComment(text);
+        let next;
+        while ((next = this.peek()) !== null && indentOf(next) > indent &&
+            !reKey.test(next.trim()) && !reSeqItem.test(next.trim())) {
+            value += ' ' + stripComment(next.trim());
+            this.pos++;
+        }
+        return this.parseScalar(value);
+    }
+
+    /** Literal (|) or folded (>) block scalar with clip/strip/keep chomping. */
+    parseBlockScalar(header, indent) {
+        const m = header.match(/^([|>])([-+]?)[ \t]*(?:#.*)?$/);
+        if (!m) throw new Error(`Unsupported block scalar header: ${header}`);
+        const [, style, chomp] = m;
+
+        const body = [];
+        let contentIndent = null;
+        while (this.pos < this.lines.length) {
+            const line = this.lines[this.pos];
+            if (line.trim() === '') {
+                body.push('');
+            } else {
+                const lineIndent = indentOf(line);
+                if (lineIndent <= indent) break;
+                if (contentIndent === null) contentIndent = lineIndent;
+                if (lineIndent < contentIndent) break;
+                body.push(line.slice(contentIndent));
+            }
+            this.pos++;
+        }
+
+        let trailing = 0;
+        while (trailing < body.length && body[body.length - 1 - trailing] === '') trailing++;
+        const lines = body.slice(0, body.length - trailing);
+
+        let text;
+        if (style === '|') {
+            text = lines.join('\n');
+        } else {
+            // Folded: single line breaks become spaces, blank lines become newlines
+            text = lines.reduce((acc, line, i) => {
+                if (i === 0) return line;
+                if (line === '') return acc + '\n';
+                return acc + (lines[i - 1] === '' ? '' : ' ') + line;
+            }, '');
+        }
+        if (lines.length === 0 || chomp === '-') return text;
+        return text + (chomp === '+' ? '\n'.repeat(trailing + 1) : '\n');
+    }
+
+    /** Flow collection on a single line: [a, "b", c] or {key: value, …}. */
+    parseFlow(text) {
+        const isList = text[0] === '[';
+        if (text[text.length - 1] !== (isList ? ']' : '}')) throw new Error(`Unclosed flow collection: ${text}`);
+        const items = splitFlow(text.slice(1, -1));
+        if (isList) return items.map(item => this.parseScalar(item));
+
+        const map = {};
+        for (const item of items) {
+            const m = item.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^:]+?)[ \t]*:(?:[ \t]+(.*))?$/);
+            if (!m) throw new Error(`Expected "key: value": ${item}`);
+            map[this.parseScalar(m[1])] = this.parseScalar(m[2] || '');
+        }
+        return map;
+    }
+
+    /** Quoted or plain scalar → string, number, boolean or null. */
+    parseScalar(text) {
+        text = text.trim();
+        if (text[0] === '"') {
+            if (!/^"(?:[^"\\]|\\.)*"$/.test(text)) throw new Error(`Bad double-quoted string: ${text}`);
+            return text.slice(1, -1).replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|.)/g, (all, esc) => {
+                if (esc.length > 1) return String.fromCharCode(parseInt(esc.slice(1), 16));
+                if (esc in ESCAPES) return ESCAPES[esc];
+                throw new Error(`Bad escape: \\${esc}`);
+            });
+        }
+        if (text[0] === "'") {
+            if (!/^'(?:[^']|'')*'$/.test(text)) throw new Error(`Bad single-quoted string: ${text}`);
+            return text.slice(1, -1).replace(/''/g, "'");
+        }
+        if (text === '' || text === '~' || /^null$/i.test(text)) return null;
+        if (/^true$/i.test(text)) return true;
+        if (/^false$/i.test(text)) return false;
+        if (reInt.test(text) || reFloat.test(text)) return Number(text);
+        return text;
+    }
+}
+
+// Split flow collection items on commas outside quotes
+function splitFlow(text) {
+    const items = [];
+    let current = '';
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quote) {
+            current += ch;
+            if (ch === '\\' && quote === '"') {
+                current += text[++i] || '';
+            } else if (ch === quote) {
+                quote = null;
+            }
+        } else if (ch === '"' || ch === "'") {
+            quote = ch;
+            current += ch;
+        } else if (ch === '[' || ch === '{') {
+            throw new Error('Nested flow collections are not supported');
+        } else if (ch === ',') {
+            items.push(current.trim());
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    if (quote) throw new Error('Unterminated quoted string');
+    if (current.trim() !== '') items.push(current.trim());
+    return items;
+}
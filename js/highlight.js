@@ -0,0 +1,344 @@
+/**
+ * highlight.js — Built-in Syntax Highlighter
+ * Small, dependency-free highlighter for fenced code blocks. Each language is a
+ * list of sticky regex rules tried in order at the current position; the first
+ * match becomes a <span class="hl-*"> token. Colors come from CSS (style.css for
+ * the preview, the print stylesheet for PDF), so tokens follow the active theme.
+ *
+ * Tokens never span lines in the output: a multi-line token (block comment,
+ * template string…) is closed and reopened at each newline, so the result can
+ * be split into lines safely.
+ */
+
+// ---- Word classification ----
+
+/**
+ * Rule for identifiers: keywords, literals, builtins and types get their own
+ * class; an identifier followed by "(" is a function call/definition.
+ */
+function words({ keywords = '', literals = '', builtins = '', types = '', pattern = /[A-Za-z_]\w*/y,
+    caseInsensitive = false, capitalizedTypes = false }) {
+    const toSet = (list) => new Set(list.split(/\s+/).filter(Boolean)
+        .map(w => (caseInsensitive ? w.toLowerCase() : w)));
+    const sets = {
+        keyword: toSet(keywords),
+        literal: toSet(literals),
+        builtin: toSet(builtins),
+        type: toSet(types)
+    };
+    return {
+        re: pattern,
+        cls: (word, code, end) => {
+            const key = caseInsensitive ? word.toLowerCase() : word;
+            for (const cls of ['keyword', 'literal', 'type', 'builtin']) {
+                if (sets[cls].has(key)) return cls;
+            }
+            if (/^\s*\(/.test(code.slice(end, end + 16))) return 'function';
+            if (capitalizedTypes && /^[A-Z][a-z0-9]\w*$/.test(word)) return 'type';
+            return null;
+        }
+    };
+}
+
+// ---- Shared rules ----
+
+const WHITESPACE = { re: /\s+/y, cls: null };
+const LINE_COMMENT_SLASH = { re: /\/\/[^\n]*/y, cls: 'comment' };
+const LINE_COMMENT_HASH = { re: /#[^\n]*/y, cls: 'comment' };
+const BLOCK_COMMENT = { re: /\/\*[\s\S]*?(?:\*\/|$)/y, cls: 'comment' };
+const DOUBLE_STRING = { re: /"(?:[^"\\\n]|\\[\s\S])*"?/y, cls: 'string' };
+const SINGLE_STRING = { re: /'(?:[^'\\\n]|\\[\s\S])*'?/y, cls: 'string' };
+const NUMBER = {
+    re: /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d+)?)(?![\w$])/y,
+    cls: 'number'
+};
+const OPERATOR = { re: /[+\-*/%=&|^!<>?:~]+/y, cls: 'operator' };
+
+// ---- Languages ----
+
+const JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else export extends ' +
+    'finally for from function get if import in instanceof let new of return set static super switch this throw try ' +
+    'typeof var void while with yield';
+const JS_LITERALS = 'true false null undefined NaN Infinity';
+const JS_BUILTINS = 'console window document globalThis Math JSON Promise Object Array String Number Boolean Symbol ' +
+    'Map Set WeakMap WeakSet Date RegExp Error TypeError Intl BigInt Reflect Proxy require module exports process';
+
+const javascript = [
+    WHITESPACE,
+    LINE_COMMENT_SLASH,
+    BLOCK_COMMENT,
+    { re: /`(?:[^`\\]|\\[\s\S])*`?/y, cls: 'string' },
+    DOUBLE_STRING,
+    SINGLE_STRING,
+    NUMBER,
+    words({ keywords: JS_KEYWORDS, literals: JS_LITERALS, builtins: JS_BUILTINS, pattern: /[A-Za-z_$][\w$]*/y }),
+    OPERATOR
+];
+
+const typescript = [
+    WHITESPACE,
+    LINE_COMMENT_SLASH,
+    BLOCK_COMMENT,
+    { re: /`(?:[^`\\]|\\[\s\S])*`?/y, cls: 'string' },
+    DOUBLE_STRING,
+    SINGLE_STRING,
+    NUMBER,
+    { re: /@[A-Za-z_$][\w$]*/y, cls: 'meta' },
+    words({
+        keywords: JS_KEYWORDS + ' abstract as asserts declare enum implements infer interface is keyof namespace ' +
+            'override private protected public readonly satisfies type unique',
+        literals: JS_LITERALS,
+        builtins: JS_BUILTINS,
+        types: 'any unknown never string number boolean bigint symbol object void Record Partial Readonly Pick ' +
+            'Omit Required ReturnType Awaited',
+        pattern: /[A-Za-z_$][\w$]*/y,
+        capitalizedTypes: true
+    }),
+    OPERATOR
+];
+
+const python = [
+    WHITESPACE,
+    LINE_COMMENT_HASH,
+    { re: /[rRbBuUfF]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/y, cls: 'string' },
+    { re: /[rRbBuUfF]{0,2}(?:"(?:[^"\\\n]|\\[\s\S])*"?|'(?:[^'\\\n]|\\[\s\S])*'?)/y, cls: 'string' },
+    { re: /@[A-Za-z_][\w.]*/y, cls: 'meta' },
+    { re: /(?<=\bdef\s+)[A-Za-z_]\w*/y, cls: 'function' },
+    { re: /(?<=\bclass\s+)[A-Za-z_]\w*/y, cls: 'type' },
+    NUMBER,
+    words({
+        keywords: 'and as assert async await break class continue def del elif else except finally for from global ' +
+            'if import in is lambda match case nonlocal not or pass raise return try while with yield',
+        literals: 'True False None',
+        builtins: 'print len range enumerate zip map filter sorted reversed sum min max abs open input isinstance ' +
+            'int float str bool list dict set tuple type object super self cls Exception ValueError TypeError ' +
+            'KeyError IndexError RuntimeError'
+    }),
+    OPERATOR
+];
+
+const json = [
+    WHITESPACE,
+    LINE_COMMENT_SLASH,
+    BLOCK_COMMENT,
+    { re: /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y, cls: 'property' },
+    DOUBLE_STRING,
+    { re: /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y, cls: 'number' },
+    { re: /\b(?:true|false|null)\b/y, cls: 'literal' }
+];
+
+const yaml = [
+    WHITESPACE,
+    { re: /(?<=^|\s)#[^\n]*/my, cls: 'comment' },
+    { re: /^(?:---|\.\.\.)(?=\s|$)/my, cls: 'meta' },
+    { re: /(?<=^[ \t]*(?:-[ \t]+)*)(?:"[^"\n]*"|'[^'\n]*'|[^\s#'"\-?:,[\]{}][^\n:#]*?|-[^\s\n:#][^\n:#]*?)(?=[ \t]*:(?:[ \t]|$))/my, cls: 'property' },
+    DOUBLE_STRING,
+    SINGLE_STRING,
+    { re: /[&*][\w-]+/y, cls: 'variable' },
+    { re: /![\w!/.-]*/y, cls: 'meta' },
+    { re: /[-+]?(?:\d[\d_]*(?:\.\d*)?(?:[eE][+-]?\d+)?|\.inf|\.nan)(?=[ \t]*(?:$|#|,|]|}))/my, cls: 'number' },
+    { re: /(?:true|false|yes|no|on|off|null|~)(?=[ \t]*(?:$|#|,|]|}))/imy, cls: 'literal' },
+    { re: /[|>][-+]?(?=[ \t]*$)/my, cls: 'operator' },
+    { re: /[^\s#'"&*!]+/y, cls: null }
+];
+
+const shell = [
+    WHITESPACE,
+    { re: /^#![^\n]*/my, cls: 'meta' },
+    { re: /(?<=^|[\s;])#[^\n]*/my, cls: 'comment' },
+    { re: /"(?:[^"\\]|\\[\s\S])*"?/y, cls: 'string' },
+    { re: /'[^']*'?/y, cls: 'string' },
+    { re: /\$\{[^}\n]*\}?|\$\(|\$[\w@#?$!*-]/y, cls: 'variable' },
+    { re: /(?<=^|\s)--?[A-Za-z][\w-]*/my, cls: 'attr' },
+    { re: /\d+(?![\w.-])/y, cls: 'number' },
+    words({
+        keywords: 'if then else elif fi for while until do done case esac in function return select time ' +
+            'break continue local export readonly declare unset shift source alias',
+        builtins: 'echo printf cd pwd ls cat grep sed awk find xargs mkdir rm cp mv touch chmod chown curl wget ' +
+            'git npm npx node yarn pnpm docker kubectl sudo apt brew pip python exit set test read eval exec ' +
+            'trap kill ps tar zip unzip ssh scp head tail sort uniq wc tee env which',
+        pattern: /[A-Za-z_][\w.-]*/y
+    }),
+    { re: /[|&;<>()]+/y, cls: 'operator' }
+];
+
+// Tag with its attributes, highlighted piecewise by renderTag()
+const reHtmlTag = /<\/?[A-Za-z][\w:.-]*(?:\s+[^\s=>/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*\s*\/?>/y;
+
+const html = [
+    WHITESPACE,
+    { re: /<!--[\s\S]*?(?:-->|$)/y, cls: 'comment' },
+    { re: /<![A-Za-z][^>]*>|<\?[\s\S]*?\?>/y, cls: 'meta' },
+    { re: reHtmlTag, render: renderTag },
+    { re: /&(?:#x[\da-fA-F]+|#\d+|[A-Za-z]\w*);/y, cls: 'literal' },
+    { re: /[^<&\s]+/y, cls: null }
+];
+
+const css = [
+    WHITESPACE,
+    BLOCK_COMMENT,
+    LINE_COMMENT_SLASH,
+    DOUBLE_STRING,
+    SINGLE_STRING,
+    { re: /@[\w-]+/y, cls: 'keyword' },
+    { re: /#[\da-fA-F]{3,8}(?![\w-])/y, cls: 'number' },
+    { re: /--[\w-]+|[A-Za-z-][\w-]*(?=\s*:[^{;\n]*[;}\n])/y, cls: 'property' },
+    { re: /-?(?:\d+(?:\.\d+)?|\.\d+)(?:%|[A-Za-z]+)?/y, cls: 'number' },
+    { re: /[.#][A-Za-z_-][\w-]*/y, cls: 'attr' },
+    { re: /::?[A-Za-z-]+/y, cls: 'keyword' },
+    { re: /!important\b/y, cls: 'keyword' },
+    { re: /[A-Za-z-][\w-]*(?=\()/y, cls: 'function' },
+    { re: /[A-Za-z][\w-]*/y, cls: null }
+];
+
+const sql = [
+    WHITESPACE,
+    { re: /--[^\n]*/y, cls: 'comment' },
+    BLOCK_COMMENT,
+    { re: /'(?:[^']|'')*'?/y, cls: 'string' },
+    { re: /"[^"\n]*"?|`[^`\n]*`?/y, cls: 'property' },
+    NUMBER,
+    words({
+        keywords: 'select from where and or not insert into values update set delete create table drop alter add ' +
+            'column index view join inner left right full outer cross on as group by order having limit offset ' +
+            'union all distinct case when then else end is in like between exists primary key foreign references ' +
+            'default unique constraint with returning asc desc begin commit rollback transaction if',
+        literals: 'null true false',
+        types: 'int integer bigint smallint serial decimal numeric real float double varchar char text boolean ' +
+            'date time timestamp json jsonb uuid blob',
+        builtins: 'count sum avg min max coalesce now lower upper length substring cast round',
+        caseInsensitive: true
+    }),
+    OPERATOR
+];
+
+const go = [
+    WHITESPACE,
+    LINE_COMMENT_SLASH,
+    BLOCK_COMMENT,
+    DOUBLE_STRING,
+    { re: /`[^`]*`?/y, cls: 'string' },
+    { re: /'(?:[^'\\\n]|\\[^\n]+?)'/y, cls: 'string' },
+    NUMBER,
+    words({
+        keywords: 'break case chan const continue default defer else fallthrough for func go goto if import ' +
+            'interface map package range return select struct switch type var',
+        literals: 'true false nil iota',
+        types: 'bool byte complex64 complex128 error float32 float64 int int8 int16 int32 int64 rune string ' +
+            'uint uint8 uint16 uint32 uint64 uintptr any',
+        builtins: 'append cap close copy delete len make new panic print println recover',
+        capitalizedTypes: true
+    }),
+    OPERATOR
+];
+
+const rust = [
+    WHITESPACE,
+    LINE_COMMENT_SLASH,
+    BLOCK_COMMENT,
+    { re: /#!?\[[^\]\n]*\]?/y, cls: 'meta' },
+    { re: /b?r(#*)"[\s\S]*?(?:"\1|$)/y, cls: 'string' },
+    { re: /b?"(?:[^"\\]|\\[\s\S])*"?/y, cls: 'string' },
+    { re: /b?'(?:[^'\\\n]|\\[^\n]+?)'/y, cls: 'string' },
+    { re: /'[A-Za-z_]\w*/y, cls: 'variable' },
+    { re: /[A-Za-z_]\w*!/y, cls: 'builtin' },
+    NUMBER,
+    words({
+        keywords: 'as async await break const continue crate dyn else enum extern fn for if impl in let loop ' +
+            'match mod move mut pub ref return self Self static struct super trait type unsafe use where while',
+        literals: 'true false None Some Ok Err',
+        types: 'i8 i16 i32 i64 i128 isize u8 u16 u32 u64 u128 usize f32 f64 bool char str String Vec Option ' +
+            'Result Box Rc Arc HashMap',
+        capitalizedTypes: true
+    }),
+    OPERATOR
+];
+
+const LANGUAGES = { javascript, typescript, python, json, yaml, shell, html, css, sql, go, rust };
+
+const ALIASES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+    ts: 'typescript', tsx: 'typescript', mts: 'typescript',
+    py: 'python', python3: 'python',
+    jsonc: 'json', json5: 'json',
+    yml: 'yaml',
+    sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell', shellscript: 'shell',
+    xml: 'html', svg: 'html', htm: 'html', xhtml: 'html', vue: 'html',
+    scss: 'css', less: 'css',
+    postgres: 'sql', postgresql: 'sql', mysql: 'sql', sqlite: 'sql',
+    golang: 'go',
+    rs: 'rust'
+};
+
+// ---- Rendering ----
+
+function escapeHtml(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Wrap text in a token span, closing and reopening it at each newline
+function span(cls, text) {
+    if (!cls) return escapeHtml(text);
+    return text.split('\n')
+        .map(part => (part ? `<span class="hl-${cls}">${escapeHtml(part)}</span>` : ''))
+        .join('\n');
+}
+
+function renderTag(tag) {
+    const m = /^(<\/?)([^\s/>]+)([\s\S]*?)(\/?>)$/.exec(tag);
+    const attrs = m[3].replace(/([^\s=]+)(?:(\s*=\s*)("[^"]*"|'[^']*'|[^\s>]+))?|\s+/g,
+        (part, name, eq, value) => {
+            if (!name) return part;
+            return span('attr', name) + (eq ? escapeHtml(eq) + span('string', value) : '');
+        });
+    return span('operator', m[1]) + span('tag', m[2]) + attrs + span('operator', m[4]);
+}
+
+function tokenize(code, rules) {
+    let html = '';
+    let plain = '';
+    let pos = 0;
+    outer:
+    while (pos < code.length) {
+        for (const rule of rules) {
+            rule.re.lastIndex = pos;
+            const m = rule.re.exec(code);
+            if (!m || m[0].length === 0) continue;
+            const text = m[0];
+            const end = pos + text.length;
+            html += escapeHtml(plain);
+            plain = '';
+            if (rule.render) {
+                html += rule.render(text);
+            } else {
+                const cls = typeof rule.cls === 'function' ? rule.cls(text, code, end) : rule.cls;
+                html += span(cls, text);
+            }
+            pos = end;
+            continue outer;
+        }
+        plain += code[pos++];
+    }
+    return html + escapeHtml(plain);
+}
+
+/**
+ * Canonical language name for a fence info word (e.g. "ts" → "typescript"),
+ * or null if the language is not supported.
+ */
+export function getLanguage(name) {
+    if (!name) return null;
+    const key = name.toLowerCase();
+    if (LANGUAGES[key]) return key;
+    return ALIASES[key] || null;
+}
+
+/**
+ * Highlight code for a language. Returns HTML (already escaped) or null when the
+ * language is unknown, in which case the caller renders the code as plain text.
+ */
+export function highlightCode(code, lang) {
+    const language = getLanguage(lang);
+    if (!language) return null;
+    return tokenize(code, LANGUAGES[language]);
+}
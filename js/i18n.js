@@ -36,6 +36,8 @@ const translations = {
         'ribbon.exportZip': 'Export as ZIP',
         'ribbon.theme': 'Toggle Theme',
         'ribbon.pdf': 'Save Preview as PDF',
+        'ribbon.exportDiagrams': 'Export Diagrams',
+        'ribbon.pasteFolder': 'Pasted Images Folder',
         'ribbon.language': 'Language',
         'ribbon.reset': 'Reset Session',
         'ribbon.gigareset': 'SuperReset',
@@ -65,6 +67,15 @@ const translations = {
         'ctx.copyMdImage': 'Copy as Markdown Image',
         'ctx.download': 'Download',
         'ctx.delete': 'Delete',
+        'diagram.one': 'Diagram {n}',
+        'diagram.all': 'All diagrams in this file ({count})',
+        'diagram.downloadSvg': 'Download SVG',
+        'diagram.downloadPng': 'Download PNG',
+        'diagram.saveSvg': 'Save SVG to Workspace',
+        'diagram.savePng': 'Save PNG to Workspace',
+        'pwa.updateAvailable': 'A new version is available.',
+        'pwa.reload': 'Reload',
+        'pwa.later': 'Later',
         // Pane headers
         'pane.editor': 'EDITOR',
         'pane.preview': 'PREVIEW',
@@ -86,7 +97,17 @@ const translations = {
         'toast.uploaded': '{count} file(s) uploaded',
         'toast.renamed': 'Renamed to "{name}"',
         'toast.duplicated': '"{name}" created',
+        'toast.created': '"{name}" created',
+        'toast.linkNotFound': 'File not found: {name}',
         'toast.downloaded': '"{name}" downloaded',
+        'toast.diagramSaved': '"{name}" saved to the workspace',
+        'toast.diagramsExported': '{count} diagram(s) exported',
+        'toast.noDiagrams': 'No rendered diagrams in this file',
+        'toast.diagramExportError': 'Diagram export failed',
+        'toast.imagePasted': '{count} image(s) pasted into the workspace',
+        'toast.pasteImageError': 'Could not save the pasted image',
+        'toast.pasteFolderSet': 'Pasted images will be saved to {folder}',
+        'toast.offlineReady': 'Ready to work offline',
         'toast.deleted': '"{name}" deleted',
         'toast.existsError': '"{name}" already exists',
         'toast.binaryNotEditable': 'Binary file cannot be edited: {name}',
@@ -99,6 +120,8 @@ const translations = {
         'toast.pdfInfo': 'Use your browser print dialog to save as PDF',
         // Dialogs
         'dialog.deleteConfirm': 'Delete {type} "{name}"?',
+        'dialog.createWikiPage': '"{name}" does not exist yet. Create it?',
+        'dialog.pasteFolder': 'Folder for pasted images, relative to the current file (leave empty for ./assets/). An assets: key in a document\'s front matter overrides it.',
         'dialog.replaceOrMerge': 'Replace current workspace?\nOK → Replace | Cancel → Merge',
         'dialog.fileType': 'file',
         'dialog.folderType': 'folder',
@@ -116,6 +139,7 @@ const translations = {
         'help.altText': 'alt text',
         'help.imageFormats': 'Supported formats: png, jpg, jpeg, gif, webp, svg',
         'help.imageTip': 'Tip: Right-click a file in the explorer → "Copy as Markdown Image"',
+        'help.imagePaste': 'Paste an image (e.g. a screenshot) into the editor to save it in an assets folder next to the current file and insert a link to it. Set assets: in the front matter to use another folder.',
         'help.math': '📐 Math',
         'help.mathDesc': 'Use dollar signs for math expressions (rendered by MathJax):',
         'help.mathInlineLabel': 'Inline',
@@ -126,8 +150,24 @@ const translations = {
         'help.mermaidStart': 'Start',
         'help.mermaidProcess': 'Process',
         'help.mermaidEnd': 'End',
+        'help.mermaidExport': 'Right-click a diagram to download it or save it to the workspace as SVG or PNG. The ribbon\'s Export Diagrams button does the same for every diagram in the file.',
         'help.pdf': '🖨️ PDF Export',
         'help.pdfDesc': 'Click the PDF button to open the browser print dialog. Only the rendered preview is printed — the editor and UI are hidden.',
+        'help.preview': '🔎 Preview',
+        'help.previewDesc': 'Double-click a paragraph, heading, list item or other block in the preview to move the editor cursor to its Markdown source line.',
+        'alert.note': 'Note',
+        'alert.tip': 'Tip',
+        'alert.important': 'Important',
+        'alert.warning': 'Warning',
+        'alert.caution': 'Caution',
+        'preview.metadata': 'Metadata',
+        'preview.renderError': 'The preview could not be updated: {message}',
+        'help.alerts': '💡 Alerts',
+        'help.alertsDesc': 'Start a blockquote with [!NOTE], [!TIP], [!IMPORTANT], [!WARNING] or [!CAUTION] on its own line to show a callout:',
+        'help.frontMatter': '🏷️ Front Matter',
+        'help.frontMatterDesc': 'A YAML block between --- lines at the very top of a file is shown as a collapsible metadata card. Its title is used for the PDF print.',
+        'help.wikiLinks': '🔗 Wiki Links',
+        'help.wikiLinksDesc': 'Link to other workspace files by name. Click a link in the preview to open the file; links to missing pages offer to create them.',
         // SEO
         'seo.title': 'RealtimeMD — Real-time Markdown Editor',
         'seo.description': 'Free browser-based Markdown editor with live preview, math, diagrams, file management, and session persistence. No backend required.',
@@ -158,6 +198,8 @@ const translations = {
         'ribbon.exportZip': 'ZIPでエクスポート',
         'ribbon.theme': 'テーマ切替',
         'ribbon.pdf': 'プレビューをPDFで保存',
+        'ribbon.exportDiagrams': '図をエクスポート',
+        'ribbon.pasteFolder': '貼り付け画像の保存先',
         'ribbon.language': '言語',
         'ribbon.reset': 'セッションリセット',
         'ribbon.gigareset': 'SuperReset',
@@ -184,6 +226,15 @@ const translations = {
         'ctx.copyMdImage': 'Markdown画像としてコピー',
         'ctx.download': 'ダウンロード',
         'ctx.delete': '削除',
+        'diagram.one': '図 {n}',
+        'diagram.all': 'このファイルの全ての図 ({count})',
+        'diagram.downloadSvg': 'SVGをダウンロード',
+        'diagram.downloadPng': 'PNGをダウンロード',
+        'diagram.saveSvg': 'SVGをワークスペースに保存',
+        'diagram.savePng': 'PNGをワークスペースに保存',
+        'pwa.updateAvailable': '新しいバージョンがあります。',
+        'pwa.reload': '再読み込み',
+        'pwa.later': '後で',
         'pane.editor': 'EDITOR',
         'pane.preview': 'PREVIEW',
         'editor.placeholder': 'Markdownを入力...',
@@ -200,7 +251,17 @@ const translations = {
         'toast.uploaded': '{count}個のファイルをアップロードしました',
         'toast.renamed': '"{name}" にリネームしました',
         'toast.duplicated': '"{name}" を作成しました',
+        'toast.created': '"{name}" を作成しました',
+        'toast.linkNotFound': 'ファイルが見つかりません: {name}',
         'toast.downloaded': '"{name}" をダウンロードしました',
+        'toast.diagramSaved': '"{name}" をワークスペースに保存しました',
+        'toast.diagramsExported': '{count}個の図をエクスポートしました',
+        'toast.noDiagrams': 'このファイルには表示済みの図がありません',
+        'toast.diagramExportError': '図のエクスポートに失敗しました',
+        'toast.imagePasted': '{count} 件の画像をワークスペースに貼り付けました',
+        'toast.pasteImageError': '貼り付けた画像を保存できませんでした',
+        'toast.pasteFolderSet': '貼り付けた画像は {folder} に保存されます',
+        'toast.offlineReady': 'オフラインで使用できるようになりました',
         'toast.deleted': '「{name}」を削除しました',
         'toast.existsError': '"{name}" は既に存在します',
         'toast.binaryNotEditable': 'バイナリファイルは編集できません: {name}',
@@ -212,6 +273,8 @@ const translations = {
         'toast.exportZipError': 'ZIPエクスポートに失敗しました',
         'toast.pdfInfo': 'ブラウザの印刷ダイアログからPDFとして保存してください',
         'dialog.deleteConfirm': '{type}「{name}」を削除しますか？',
+        'dialog.createWikiPage': '「{name}」はまだ存在しません。作成しますか？',
+        'dialog.pasteFolder': '貼り付けた画像の保存先フォルダ(現在のファイルからの相対パス。空欄で ./assets/)。文書のフロントマターの assets: が優先されます。',
         'dialog.replaceOrMerge': '現在のワークスペースを置き換えますか？\n「OK」→ 置き換え | 「キャンセル」→ マージ',
         'dialog.fileType': 'ファイル',
         'dialog.folderType': 'フォルダ',
@@ -228,6 +291,7 @@ const translations = {
         'help.altText': '代替テキスト',
         'help.imageFormats': '対応形式: png, jpg, jpeg, gif, webp, svg',
         'help.imageTip': 'ヒント: エクスプローラーでファイルを右クリック →「Markdown画像としてコピー」',
+        'help.imagePaste': '画像(スクリーンショットなど)をエディタに貼り付けると、現在のファイルの隣の assets フォルダに保存され、リンクが挿入されます。別のフォルダを使うにはフロントマターに assets: を指定します。',
         'help.math': '📐 数式',
         'help.mathDesc': 'ドル記号で数式を書きます（MathJaxでレンダリング）：',
         'help.mathInlineLabel': 'インライン',
@@ -238,8 +302,24 @@ const translations = {
         'help.mermaidStart': '開始',
         'help.mermaidProcess': '処理',
         'help.mermaidEnd': '終了',
+        'help.mermaidExport': '図を右クリックすると、SVGまたはPNGとしてダウンロード、またはワークスペースに保存できます。リボンの「図をエクスポート」ボタンはファイル内の全ての図に同じ操作を行います。',
         'help.pdf': '🖨️ PDF エクスポート',
         'help.pdfDesc': 'PDFボタンをクリックするとブラウザの印刷ダイアログが開きます。プレビューのみが印刷され、エディタとUIは非表示になります。',
+        'help.preview': '🔎 プレビュー',
+        'help.previewDesc': 'プレビューの段落・見出し・リスト項目などをダブルクリックすると、エディタのカーソルがその Markdown ソース行に移動します。',
+        'alert.note': '注記',
+        'alert.tip': 'ヒント',
+        'alert.important': '重要',
+        'alert.warning': '警告',
+        'alert.caution': '注意',
+        'preview.metadata': 'メタデータ',
+        'preview.renderError': 'プレビューを更新できませんでした: {message}',
+        'help.alerts': '💡 アラート',
+        'help.alertsDesc': '引用の1行目に [!NOTE]、[!TIP]、[!IMPORTANT]、[!WARNING]、[!CAUTION] のいずれかだけを書くと、コールアウトとして表示されます：',
+        'help.frontMatter': '🏷️ フロントマター',
+        'help.frontMatterDesc': 'ファイル先頭の --- で囲まれた YAML ブロックは、折りたたみ可能なメタデータカードとして表示されます。title は PDF 印刷のタイトルに使われます。',
+        'help.wikiLinks': '🔗 Wiki リンク',
+        'help.wikiLinksDesc': 'ワークスペース内の他のファイルを名前でリンクできます。プレビューでリンクをクリックするとファイルが開きます。存在しないページへのリンクでは作成を提案します。',
         'seo.title': 'RealtimeMD — リアルタイム Markdown エディタ',
         'seo.description': 'ライブプレビュー、数式、図表、ファイル管理、セッション永続化付きの無料ブラウザベース Markdown エディタ。バックエンド不要。',
     },
@@ -269,6 +349,8 @@ const translations = {
         'ribbon.exportZip': '导出为ZIP',
         'ribbon.theme': '切换主题',
         'ribbon.pdf': '预览保存为PDF',
+        'ribbon.exportDiagrams': '导出图表',
+        'ribbon.pasteFolder': '粘贴图片的文件夹',
         'ribbon.language': '语言',
         'ribbon.reset': '重置会话',
         'ribbon.gigareset': 'SuperReset',
@@ -295,6 +377,15 @@ const translations = {
         'ctx.copyMdImage': '复制为Markdown图片',
         'ctx.download': '下载',
         'ctx.delete': '删除',
+        'diagram.one': '图表 {n}',
+        'diagram.all': '此文件中的所有图表 ({count})',
+        'diagram.downloadSvg': '下载 SVG',
+        'diagram.downloadPng': '下载 PNG',
+        'diagram.saveSvg': '将 SVG 保存到工作区',
+        'diagram.savePng': '将 PNG 保存到工作区',
+        'pwa.updateAvailable': '有新版本可用。',
+        'pwa.reload': '重新加载',
+        'pwa.later': '稍后',
         'pane.editor': '编辑器',
         'pane.preview': '预览',
         'editor.placeholder': '输入Markdown...',
@@ -311,7 +402,17 @@ const translations = {
         'toast.uploaded': '已上传 {count} 个文件',
         'toast.renamed': '已重命名为 "{name}"',
         'toast.duplicated': '已创建 "{name}"',
+        'toast.created': '已创建 "{name}"',
+        'toast.linkNotFound': '找不到文件: {name}',
         'toast.downloaded': '已下载 "{name}"',
+        'toast.diagramSaved': '已将 "{name}" 保存到工作区',
+        'toast.diagramsExported': '已导出 {count} 个图表',
+        'toast.noDiagrams': '此文件中没有已渲染的图表',
+        'toast.diagramExportError': '图表导出失败',
+        'toast.imagePasted': '已将 {count} 张图片粘贴到工作区',
+        'toast.pasteImageError': '无法保存粘贴的图片',
+        'toast.pasteFolderSet': '粘贴的图片将保存到 {folder}',
+        'toast.offlineReady': '现已可离线使用',
         'toast.deleted': '已删除 "{name}"',
         'toast.existsError': '"{name}" 已存在',
         'toast.binaryNotEditable': '无法编辑二进制文件：{name}',
@@ -323,6 +424,8 @@ const translations = {
         'toast.exportZipError': 'ZIP导出失败',
         'toast.pdfInfo': '请使用浏览器打印对话框保存为PDF',
         'dialog.deleteConfirm': '删除{type}「{name}」？',
+        'dialog.createWikiPage': '"{name}" 尚不存在。要创建吗？',
+        'dialog.pasteFolder': '粘贴图片的保存文件夹,相对于当前文件(留空则为 ./assets/)。文档前置元数据中的 assets: 优先。',
         'dialog.replaceOrMerge': '替换当前工作区？\n确定 → 替换 | 取消 → 合并',
         'dialog.fileType': '文件',
         'dialog.folderType': '文件夹',
@@ -339,6 +442,7 @@ const translations = {
         'help.altText': '替代文本',
         'help.imageFormats': '支持格式: png, jpg, jpeg, gif, webp, svg',
         'help.imageTip': '提示: 右键点击文件管理器中的文件 →「复制为Markdown图片」',
+        'help.imagePaste': '将图片(例如截图)粘贴到编辑器中,即可将其保存到当前文件旁的 assets 文件夹并插入链接。在前置元数据中设置 assets: 可使用其他文件夹。',
         'help.math': '📐 数学公式',
         'help.mathDesc': '使用美元符号编写数学公式（由MathJax渲染）：',
         'help.mathInlineLabel': '行内',
@@ -349,8 +453,24 @@ const translations = {
         'help.mermaidStart': '开始',
         'help.mermaidProcess': '处理',
         'help.mermaidEnd': '结束',
+        'help.mermaidExport': '右键单击图表可将其下载或以 SVG 或 PNG 格式保存到工作区。功能区的“导出图表”按钮会对文件中的所有图表执行相同操作。',
         'help.pdf': '🖨️ PDF 导出',
         'help.pdfDesc': '点击PDF按钮打开浏览器打印对话框。仅打印渲染预览 — 编辑器和界面元素将被隐藏。',
+        'help.preview': '🔎 预览',
+        'help.previewDesc': '在预览中双击段落、标题、列表项等块，编辑器光标将跳转到对应的 Markdown 源代码行。',
+        'alert.note': '注意',
+        'alert.tip': '提示',
+        'alert.important': '重要',
+        'alert.warning': '警告',
+        'alert.caution': '小心',
+        'preview.metadata': '元数据',
+        'preview.renderError': '无法更新预览:{message}',
+        'help.alerts': '💡 提示框',
+        'help.alertsDesc': '在引用块的第一行单独写 [!NOTE]、[!TIP]、[!IMPORTANT]、[!WARNING] 或 [!CAUTION]，即可显示为提示框：',
+        'help.frontMatter': '🏷️ 前置元数据',
+        'help.frontMatterDesc': '文件开头由 --- 包围的 YAML 块会显示为可折叠的元数据卡片，其 title 用作 PDF 打印标题。',
+        'help.wikiLinks': '🔗 Wiki 链接',
+        'help.wikiLinksDesc': '按名称链接工作区中的其他文件。在预览中点击链接即可打开文件；指向不存在页面的链接会提示创建。',
         'seo.title': 'RealtimeMD — 实时 Markdown 编辑器',
         'seo.description': '免费的基于浏览器的 Markdown 编辑器，具有实时预览、数学公式、图表、文件管理和会话持久化。无需后端。',
     },
@@ -380,6 +500,8 @@ const translations = {
         'ribbon.exportZip': 'ZIP के रूप में निर्यात',
         'ribbon.theme': 'थीम बदलें',
         'ribbon.pdf': 'पूर्वावलोकन PDF में सहेजें',
+        'ribbon.exportDiagrams': 'आरेख निर्यात करें',
+        'ribbon.pasteFolder': 'चिपकाई गई छवियों का फ़ोल्डर',
         'ribbon.language': 'भाषा',
         'ribbon.reset': 'सत्र रीसेट',
         'ribbon.gigareset': 'SuperReset',
@@ -406,6 +528,15 @@ const translations = {
         'ctx.copyMdImage': 'Markdown चित्र के रूप में कॉपी',
         'ctx.download': 'डाउनलोड',
         'ctx.delete': 'हटाएं',
+        'diagram.one': 'आरेख {n}',
+        'diagram.all': 'इस फ़ाइल के सभी आरेख ({count})',
+        'diagram.downloadSvg': 'SVG डाउनलोड करें',
+        'diagram.downloadPng': 'PNG डाउनलोड करें',
+        'diagram.saveSvg': 'SVG को वर्कस्पेस में सहेजें',
+        'diagram.savePng': 'PNG को वर्कस्पेस में सहेजें',
+        'pwa.updateAvailable': 'एक नया संस्करण उपलब्ध है।',
+        'pwa.reload': 'रीलोड करें',
+        'pwa.later': 'बाद में',
         'pane.editor': 'संपादक',
         'pane.preview': 'पूर्वावलोकन',
         'editor.placeholder': 'Markdown टाइप करें...',
@@ -422,7 +553,17 @@ const translations = {
         'toast.uploaded': '{count} फ़ाइल अपलोड हुई',
         'toast.renamed': '"{name}" में नाम बदला',
         'toast.duplicated': '"{name}" बनाया गया',
+        'toast.created': '"{name}" बनाया गया',
+        'toast.linkNotFound': 'फ़ाइल नहीं मिली: {name}',
         'toast.downloaded': '"{name}" डाउनलोड हुई',
+        'toast.diagramSaved': '"{name}" वर्कस्पेस में सहेजा गया',
+        'toast.diagramsExported': '{count} आरेख निर्यात किए गए',
+        'toast.noDiagrams': 'इस फ़ाइल में कोई रेंडर किया गया आरेख नहीं है',
+        'toast.diagramExportError': 'आरेख निर्यात विफल रहा',
+        'toast.imagePasted': '{count} छवि(याँ) वर्कस्पेस में चिपकाई गईं',
+        'toast.pasteImageError': 'चिपकाई गई छवि सहेजी नहीं जा सकी',
+        'toast.pasteFolderSet': 'चिपकाई गई छवियाँ {folder} में सहेजी जाएँगी',
+        'toast.offlineReady': 'अब ऑफ़लाइन काम करने के लिए तैयार',
         'toast.deleted': '"{name}" हटाया गया',
         'toast.existsError': '"{name}" पहले से मौजूद है',
         'toast.binaryNotEditable': 'बाइनरी फ़ाइल संपादित नहीं हो सकती: {name}',
@@ -434,6 +575,8 @@ const translations = {
         'toast.exportZipError': 'ZIP निर्यात विफल',
         'toast.pdfInfo': 'PDF के रूप में सहेजने के लिए ब्राउज़र प्रिंट डायलॉग का उपयोग करें',
         'dialog.deleteConfirm': '{type} "{name}" हटाएं?',
+        'dialog.createWikiPage': '"{name}" अभी मौजूद नहीं है। क्या इसे बनाएँ?',
+        'dialog.pasteFolder': 'चिपकाई गई छवियों का फ़ोल्डर, वर्तमान फ़ाइल के सापेक्ष (./assets/ के लिए खाली छोड़ें)। दस्तावेज़ के फ़्रंट मैटर की assets: कुंजी इसे बदल देती है।',
         'dialog.replaceOrMerge': 'वर्तमान वर्कस्पेस बदलें?\nOK → बदलें | रद्द करें → मर्ज करें',
         'dialog.fileType': 'फ़ाइल',
         'dialog.folderType': 'फ़ोल्डर',
@@ -450,6 +593,7 @@ const translations = {
         'help.altText': 'वैकल्पिक पाठ',
         'help.imageFormats': 'समर्थित प्रारूप: png, jpg, jpeg, gif, webp, svg',
         'help.imageTip': 'सुझाव: एक्सप्लोरर में फ़ाइल पर राइट-क्लिक करें →「Markdown चित्र के रूप में कॉपी करें」',
+        'help.imagePaste': 'किसी छवि (जैसे स्क्रीनशॉट) को एडिटर में चिपकाएँ ताकि वह वर्तमान फ़ाइल के पास assets फ़ोल्डर में सहेजी जाए और उसका लिंक डाला जाए। दूसरा फ़ोल्डर उपयोग करने के लिए फ़्रंट मैटर में assets: सेट करें।',
         'help.math': '📐 गणित',
         'help.mathDesc': 'गणित अभिव्यक्तियों के लिए डॉलर चिह्न का उपयोग करें (MathJax द्वारा रेंडर):',
         'help.mathInlineLabel': 'इनलाइन',
@@ -460,8 +604,24 @@ const translations = {
         'help.mermaidStart': 'शुरू',
         'help.mermaidProcess': 'प्रक्रिया',
         'help.mermaidEnd': 'अंत',
+        'help.mermaidExport': 'किसी आरेख पर राइट-क्लिक करके उसे SVG या PNG के रूप में डाउनलोड करें या वर्कस्पेस में सहेजें। रिबन का "आरेख निर्यात करें" बटन फ़ाइल के सभी आरेखों के लिए यही करता है।',
         'help.pdf': '🖨️ PDF निर्यात',
         'help.pdfDesc': 'PDF बटन क्लिक करें ब्राउज़र प्रिंट डायलॉग खोलने के लिए। केवल रेंडर किया गया प्रीव्यू प्रिंट होता है — एडिटर और UI छुपे रहते हैं।',
+        'help.preview': '🔎 प्रीव्यू',
+        'help.previewDesc': 'प्रीव्यू में किसी पैराग्राफ, शीर्षक, सूची आइटम या अन्य ब्लॉक पर डबल-क्लिक करें — एडिटर का कर्सर उसकी Markdown स्रोत पंक्ति पर चला जाएगा।',
+        'alert.note': 'नोट',
+        'alert.tip': 'सुझाव',
+        'alert.important': 'महत्वपूर्ण',
+        'alert.warning': 'चेतावनी',
+        'alert.caution': 'सावधानी',
+        'preview.metadata': 'मेटाडेटा',
+        'preview.renderError': 'प्रीव्यू अपडेट नहीं हो सका: {message}',
+        'help.alerts': '💡 अलर्ट',
+        'help.alertsDesc': 'उद्धरण की पहली पंक्ति में केवल [!NOTE], [!TIP], [!IMPORTANT], [!WARNING] या [!CAUTION] लिखें — वह कॉलआउट के रूप में दिखेगा:',
+        'help.frontMatter': '🏷️ फ्रंट मैटर',
+        'help.frontMatterDesc': 'फ़ाइल की शुरुआत में --- पंक्तियों के बीच का YAML ब्लॉक एक संकुचित होने वाले मेटाडेटा कार्ड के रूप में दिखता है। इसका title PDF प्रिंट में उपयोग होता है।',
+        'help.wikiLinks': '🔗 विकी लिंक',
+        'help.wikiLinksDesc': 'वर्कस्पेस की अन्य फ़ाइलों को नाम से लिंक करें। प्रीव्यू में लिंक पर क्लिक करने से फ़ाइल खुलती है; मौजूद न होने वाले पेज के लिंक उसे बनाने का विकल्प देते हैं।',
         'seo.title': 'RealtimeMD — रियल-टाइम Markdown एडिटर',
         'seo.description': 'लाइव प्रीव्यू, गणित, चित्र, फ़ाइल प्रबंधन और सत्र स्थायीत्व के साथ मुफ्त ब्राउज़र-आधारित Markdown एडिटर। बैकएंड की आवश्यकता नहीं।',
     },
@@ -491,6 +651,8 @@ const translations = {
         'ribbon.exportZip': 'Exportar como ZIP',
         'ribbon.theme': 'Cambiar tema',
         'ribbon.pdf': 'Guardar vista previa como PDF',
+        'ribbon.exportDiagrams': 'Exportar diagramas',
+        'ribbon.pasteFolder': 'Carpeta de imágenes pegadas',
         'ribbon.language': 'Idioma',
         'ribbon.reset': 'Restablecer sesión',
         'ribbon.gigareset': 'SuperReset',
@@ -517,6 +679,15 @@ const translations = {
         'ctx.copyMdImage': 'Copiar como imagen Markdown',
         'ctx.download': 'Descargar',
         'ctx.delete': 'Eliminar',
+        'diagram.one': 'Diagrama {n}',
+        'diagram.all': 'Todos los diagramas del archivo ({count})',
+        'diagram.downloadSvg': 'Descargar SVG',
+        'diagram.downloadPng': 'Descargar PNG',
+        'diagram.saveSvg': 'Guardar SVG en el espacio de trabajo',
+        'diagram.savePng': 'Guardar PNG en el espacio de trabajo',
+        'pwa.updateAvailable': 'Hay una nueva versión disponible.',
+        'pwa.reload': 'Recargar',
+        'pwa.later': 'Más tarde',
         'pane.editor': 'EDITOR',
         'pane.preview': 'VISTA PREVIA',
         'editor.placeholder': 'Escribe Markdown...',
@@ -533,7 +704,17 @@ const translations = {
         'toast.uploaded': '{count} archivo(s) subido(s)',
         'toast.renamed': 'Renombrado a "{name}"',
         'toast.duplicated': '"{name}" creado',
+        'toast.created': '"{name}" creado',
+        'toast.linkNotFound': 'Archivo no encontrado: {name}',
         'toast.downloaded': '"{name}" descargado',
+        'toast.diagramSaved': '"{name}" guardado en el espacio de trabajo',
+        'toast.diagramsExported': '{count} diagrama(s) exportado(s)',
+        'toast.noDiagrams': 'No hay diagramas renderizados en este archivo',
+        'toast.diagramExportError': 'Error al exportar el diagrama',
+        'toast.imagePasted': '{count} imagen(es) pegada(s) en el espacio de trabajo',
+        'toast.pasteImageError': 'No se pudo guardar la imagen pegada',
+        'toast.pasteFolderSet': 'Las imágenes pegadas se guardarán en {folder}',
+        'toast.offlineReady': 'Listo para usar sin conexión',
         'toast.deleted': '"{name}" eliminado',
         'toast.existsError': '"{name}" ya existe',
         'toast.binaryNotEditable': 'No se puede editar archivo binario: {name}',
@@ -545,6 +726,8 @@ const translations = {
         'toast.exportZipError': 'Error al exportar ZIP',
         'toast.pdfInfo': 'Use el diálogo de impresión del navegador para guardar como PDF',
         'dialog.deleteConfirm': '¿Eliminar {type} "{name}"?',
+        'dialog.createWikiPage': '"{name}" todavía no existe. ¿Crearlo?',
+        'dialog.pasteFolder': 'Carpeta para las imágenes pegadas, relativa al archivo actual (vacío para ./assets/). La clave assets: del front matter de un documento tiene prioridad.',
         'dialog.replaceOrMerge': '¿Reemplazar el espacio de trabajo actual?\\nAceptar → Reemplazar | Cancelar → Fusionar',
         'dialog.fileType': 'archivo',
         'dialog.folderType': 'carpeta',
@@ -561,6 +744,7 @@ const translations = {
         'help.altText': 'texto alternativo',
         'help.imageFormats': 'Formatos soportados: png, jpg, jpeg, gif, webp, svg',
         'help.imageTip': 'Consejo: Haga clic derecho en un archivo en el explorador → "Copiar como imagen Markdown"',
+        'help.imagePaste': 'Pega una imagen (p. ej. una captura de pantalla) en el editor para guardarla en una carpeta assets junto al archivo actual e insertar un enlace. Define assets: en el front matter para usar otra carpeta.',
         'help.math': '📐 Matemáticas',
         'help.mathDesc': 'Use signos de dólar para expresiones matemáticas (renderizado por MathJax):',
         'help.mathInlineLabel': 'En línea',
@@ -571,8 +755,24 @@ const translations = {
         'help.mermaidStart': 'Inicio',
         'help.mermaidProcess': 'Proceso',
         'help.mermaidEnd': 'Fin',
+        'help.mermaidExport': 'Haz clic derecho en un diagrama para descargarlo o guardarlo en el espacio de trabajo como SVG o PNG. El botón Exportar diagramas de la barra lateral hace lo mismo con todos los diagramas del archivo.',
         'help.pdf': '🖨️ Exportar PDF',
         'help.pdfDesc': 'Haga clic en el botón PDF para abrir el diálogo de impresión del navegador. Solo se imprime la vista previa renderizada.',
+        'help.preview': '🔎 Vista previa',
+        'help.previewDesc': 'Haga doble clic en un párrafo, encabezado, elemento de lista u otro bloque de la vista previa para mover el cursor del editor a su línea de origen Markdown.',
+        'alert.note': 'Nota',
+        'alert.tip': 'Consejo',
+        'alert.important': 'Importante',
+        'alert.warning': 'Advertencia',
+        'alert.caution': 'Precaución',
+        'preview.metadata': 'Metadatos',
+        'preview.renderError': 'No se pudo actualizar la vista previa: {message}',
+        'help.alerts': '💡 Alertas',
+        'help.alertsDesc': 'Empiece una cita con [!NOTE], [!TIP], [!IMPORTANT], [!WARNING] o [!CAUTION] en su propia línea para mostrar un aviso destacado:',
+        'help.frontMatter': '🏷️ Front matter',
+        'help.frontMatterDesc': 'Un bloque YAML entre líneas --- al principio del archivo se muestra como una tarjeta de metadatos plegable. Su title se usa en la impresión PDF.',
+        'help.wikiLinks': '🔗 Enlaces wiki',
+        'help.wikiLinksDesc': 'Enlace a otros archivos del espacio de trabajo por su nombre. Haga clic en un enlace de la vista previa para abrir el archivo; los enlaces a páginas inexistentes ofrecen crearlas.',
         'seo.title': 'RealtimeMD — Editor Markdown en tiempo real',
         'seo.description': 'Editor Markdown gratuito basado en navegador con vista previa en vivo, matemáticas, diagramas, gestión de archivos y persistencia de sesión. Sin backend.',
     },
@@ -602,6 +802,8 @@ const translations = {
         'ribbon.exportZip': 'Ekspor sebagai ZIP',
         'ribbon.theme': 'Ubah Tema',
         'ribbon.pdf': 'Simpan Pratinjau sebagai PDF',
+        'ribbon.exportDiagrams': 'Ekspor Diagram',
+        'ribbon.pasteFolder': 'Folder Gambar Tempelan',
         'ribbon.language': 'Bahasa',
         'ribbon.reset': 'Atur Ulang Sesi',
         'ribbon.gigareset': 'SuperReset',
@@ -628,6 +830,15 @@ const translations = {
         'ctx.copyMdImage': 'Salin sebagai Gambar Markdown',
         'ctx.download': 'Unduh',
         'ctx.delete': 'Hapus',
+        'diagram.one': 'Diagram {n}',
+        'diagram.all': 'Semua diagram di file ini ({count})',
+        'diagram.downloadSvg': 'Unduh SVG',
+        'diagram.downloadPng': 'Unduh PNG',
+        'diagram.saveSvg': 'Simpan SVG ke Workspace',
+        'diagram.savePng': 'Simpan PNG ke Workspace',
+        'pwa.updateAvailable': 'Versi baru tersedia.',
+        'pwa.reload': 'Muat ulang',
+        'pwa.later': 'Nanti',
         'pane.editor': 'EDITOR',
         'pane.preview': 'PRATINJAU',
         'editor.placeholder': 'Ketik Markdown...',
@@ -644,7 +855,17 @@ const translations = {
         'toast.uploaded': '{count} berkas diunggah',
         'toast.renamed': 'Diubah nama menjadi "{name}"',
         'toast.duplicated': '"{name}" dibuat',
+        'toast.created': '"{name}" dibuat',
+        'toast.linkNotFound': 'File tidak ditemukan: {name}',
         'toast.downloaded': '"{name}" diunduh',
+        'toast.diagramSaved': '"{name}" disimpan ke workspace',
+        'toast.diagramsExported': '{count} diagram diekspor',
+        'toast.noDiagrams': 'Tidak ada diagram yang dirender di file ini',
+        'toast.diagramExportError': 'Ekspor diagram gagal',
+        'toast.imagePasted': '{count} gambar ditempel ke ruang kerja',
+        'toast.pasteImageError': 'Gambar yang ditempel tidak dapat disimpan',
+        'toast.pasteFolderSet': 'Gambar yang ditempel akan disimpan ke {folder}',
+        'toast.offlineReady': 'Siap digunakan secara offline',
         'toast.deleted': '"{name}" dihapus',
         'toast.existsError': '"{name}" sudah ada',
         'toast.binaryNotEditable': 'Berkas biner tidak dapat diedit: {name}',
@@ -656,6 +877,8 @@ const translations = {
         'toast.exportZipError': 'Ekspor ZIP gagal',
         'toast.pdfInfo': 'Gunakan dialog cetak browser untuk menyimpan sebagai PDF',
         'dialog.deleteConfirm': 'Hapus {type} "{name}"?',
+        'dialog.createWikiPage': '"{name}" belum ada. Buat sekarang?',
+        'dialog.pasteFolder': 'Folder untuk gambar yang ditempel, relatif terhadap file saat ini (kosongkan untuk ./assets/). Kunci assets: di front matter dokumen akan menggantikannya.',
         'dialog.replaceOrMerge': 'Ganti ruang kerja saat ini?\\nOK → Ganti | Batal → Gabungkan',
         'dialog.fileType': 'berkas',
         'dialog.folderType': 'folder',
@@ -672,6 +895,7 @@ const translations = {
         'help.altText': 'teks alternatif',
         'help.imageFormats': 'Format yang didukung: png, jpg, jpeg, gif, webp, svg',
         'help.imageTip': 'Tips: Klik kanan berkas di penjelajah → "Salin sebagai Gambar Markdown"',
+        'help.imagePaste': 'Tempel gambar (mis. tangkapan layar) ke editor untuk menyimpannya di folder assets di samping file saat ini dan menyisipkan tautannya. Atur assets: di front matter untuk memakai folder lain.',
         'help.math': '📐 Matematika',
         'help.mathDesc': 'Gunakan tanda dolar untuk ekspresi matematika (dirender oleh MathJax):',
         'help.mathInlineLabel': 'Sebaris',
@@ -682,8 +906,24 @@ const translations = {
         'help.mermaidStart': 'Mulai',
         'help.mermaidProcess': 'Proses',
         'help.mermaidEnd': 'Selesai',
+        'help.mermaidExport': 'Klik kanan diagram untuk mengunduhnya atau menyimpannya ke workspace sebagai SVG atau PNG. Tombol Ekspor Diagram di ribbon melakukan hal yang sama untuk semua diagram di file.',
         'help.pdf': '🖨️ Ekspor PDF',
         'help.pdfDesc': 'Klik tombol PDF untuk membuka dialog cetak browser. Hanya pratinjau yang dirender yang dicetak.',
+        'help.preview': '🔎 Pratinjau',
+        'help.previewDesc': 'Klik dua kali paragraf, judul, item daftar, atau blok lain di pratinjau untuk memindahkan kursor editor ke baris sumber Markdown-nya.',
+        'alert.note': 'Catatan',
+        'alert.tip': 'Tips',
+        'alert.important': 'Penting',
+        'alert.warning': 'Peringatan',
+        'alert.caution': 'Hati-hati',
+        'preview.metadata': 'Metadata',
+        'preview.renderError': 'Pratinjau tidak dapat diperbarui: {message}',
+        'help.alerts': '💡 Peringatan',
+        'help.alertsDesc': 'Awali kutipan dengan [!NOTE], [!TIP], [!IMPORTANT], [!WARNING] atau [!CAUTION] di barisnya sendiri untuk menampilkan kotak peringatan:',
+        'help.frontMatter': '🏷️ Front matter',
+        'help.frontMatterDesc': 'Blok YAML di antara baris --- di awal file ditampilkan sebagai kartu metadata yang dapat dilipat. title-nya dipakai untuk cetak PDF.',
+        'help.wikiLinks': '🔗 Tautan wiki',
+        'help.wikiLinksDesc': 'Tautkan ke file lain di workspace berdasarkan nama. Klik tautan di pratinjau untuk membuka file; tautan ke halaman yang belum ada menawarkan untuk membuatnya.',
         'seo.title': 'RealtimeMD — Editor Markdown Waktu Nyata',
         'seo.description': 'Editor Markdown gratis berbasis browser dengan pratinjau langsung, matematika, diagram, manajemen berkas, dan persistensi sesi. Tanpa backend.',
     },
@@ -713,6 +953,8 @@ const translations = {
         'ribbon.exportZip': 'Exportar como ZIP',
         'ribbon.theme': 'Alternar tema',
         'ribbon.pdf': 'Salvar prévia como PDF',
+        'ribbon.exportDiagrams': 'Exportar diagramas',
+        'ribbon.pasteFolder': 'Pasta de imagens coladas',
         'ribbon.language': 'Idioma',
         'ribbon.reset': 'Redefinir sessão',
         'ribbon.gigareset': 'SuperReset',
@@ -739,6 +981,15 @@ const translations = {
         'ctx.copyMdImage': 'Copiar como imagem Markdown',
         'ctx.download': 'Baixar',
         'ctx.delete': 'Excluir',
+        'diagram.one': 'Diagrama {n}',
+        'diagram.all': 'Todos os diagramas do arquivo ({count})',
+        'diagram.downloadSvg': 'Baixar SVG',
+        'diagram.downloadPng': 'Baixar PNG',
+        'diagram.saveSvg': 'Salvar SVG no espaço de trabalho',
+        'diagram.savePng': 'Salvar PNG no espaço de trabalho',
+        'pwa.updateAvailable': 'Uma nova versão está disponível.',
+        'pwa.reload': 'Recarregar',
+        'pwa.later': 'Mais tarde',
         'pane.editor': 'EDITOR',
         'pane.preview': 'PRÉ-VISUALIZAÇÃO',
         'editor.placeholder': 'Digite Markdown...',
@@ -755,7 +1006,17 @@ const translations = {
         'toast.uploaded': '{count} arquivo(s) enviado(s)',
         'toast.renamed': 'Renomeado para "{name}"',
         'toast.duplicated': '"{name}" criado',
+        'toast.created': '"{name}" criado',
+        'toast.linkNotFound': 'Arquivo não encontrado: {name}',
         'toast.downloaded': '"{name}" baixado',
+        'toast.diagramSaved': '"{name}" salvo no espaço de trabalho',
+        'toast.diagramsExported': '{count} diagrama(s) exportado(s)',
+        'toast.noDiagrams': 'Nenhum diagrama renderizado neste arquivo',
+        'toast.diagramExportError': 'Falha ao exportar o diagrama',
+        'toast.imagePasted': '{count} imagem(ns) colada(s) no espaço de trabalho',
+        'toast.pasteImageError': 'Não foi possível salvar a imagem colada',
+        'toast.pasteFolderSet': 'As imagens coladas serão salvas em {folder}',
+        'toast.offlineReady': 'Pronto para uso offline',
         'toast.deleted': '"{name}" excluído',
         'toast.existsError': '"{name}" já existe',
         'toast.binaryNotEditable': 'Arquivo binário não pode ser editado: {name}',
@@ -767,6 +1028,8 @@ const translations = {
         'toast.exportZipError': 'Falha na exportação ZIP',
         'toast.pdfInfo': 'Use a caixa de diálogo de impressão do navegador para salvar como PDF',
         'dialog.deleteConfirm': 'Excluir {type} "{name}"?',
+        'dialog.createWikiPage': '"{name}" ainda não existe. Criar?',
+        'dialog.pasteFolder': 'Pasta para imagens coladas, relativa ao arquivo atual (deixe vazio para ./assets/). A chave assets: no front matter de um documento tem prioridade.',
         'dialog.replaceOrMerge': 'Substituir a área de trabalho atual?\\nOK → Substituir | Cancelar → Mesclar',
         'dialog.fileType': 'arquivo',
         'dialog.folderType': 'pasta',
@@ -783,6 +1046,7 @@ const translations = {
         'help.altText': 'texto alternativo',
         'help.imageFormats': 'Formatos suportados: png, jpg, jpeg, gif, webp, svg',
         'help.imageTip': 'Dica: Clique com o botão direito em um arquivo no explorador → "Copiar como imagem Markdown"',
+        'help.imagePaste': 'Cole uma imagem (ex.: uma captura de tela) no editor para salvá-la em uma pasta assets ao lado do arquivo atual e inserir um link. Defina assets: no front matter para usar outra pasta.',
         'help.math': '📐 Matemática',
         'help.mathDesc': 'Use cifrões para expressões matemáticas (renderizado por MathJax):',
         'help.mathInlineLabel': 'Em linha',
@@ -793,8 +1057,24 @@ const translations = {
         'help.mermaidStart': 'Início',
         'help.mermaidProcess': 'Processo',
         'help.mermaidEnd': 'Fim',
+        'help.mermaidExport': 'Clique com o botão direito em um diagrama para baixá-lo ou salvá-lo no espaço de trabalho como SVG ou PNG. O botão Exportar diagramas da barra lateral faz o mesmo com todos os diagramas do arquivo.',
         'help.pdf': '🖨️ Exportar PDF',
         'help.pdfDesc': 'Clique no botão PDF para abrir a caixa de diálogo de impressão do navegador. Apenas a prévia renderizada é impressa.',
+        'help.preview': '🔎 Prévia',
+        'help.previewDesc': 'Clique duas vezes em um parágrafo, título, item de lista ou outro bloco da prévia para mover o cursor do editor para a linha de origem Markdown.',
+        'alert.note': 'Nota',
+        'alert.tip': 'Dica',
+        'alert.important': 'Importante',
+        'alert.warning': 'Aviso',
+        'alert.caution': 'Cuidado',
+        'preview.metadata': 'Metadados',
+        'preview.renderError': 'Não foi possível atualizar a pré-visualização: {message}',
+        'help.alerts': '💡 Alertas',
+        'help.alertsDesc': 'Comece uma citação com [!NOTE], [!TIP], [!IMPORTANT], [!WARNING] ou [!CAUTION] em uma linha própria para exibir um destaque:',
+        'help.frontMatter': '🏷️ Front matter',
+        'help.frontMatterDesc': 'Um bloco YAML entre linhas --- no início do arquivo é exibido como um cartão de metadados recolhível. Seu title é usado na impressão em PDF.',
+        'help.wikiLinks': '🔗 Links wiki',
+        'help.wikiLinksDesc': 'Crie links para outros arquivos do espaço de trabalho pelo nome. Clique em um link na prévia para abrir o arquivo; links para páginas inexistentes oferecem criá-las.',
         'seo.title': 'RealtimeMD — Editor Markdown em tempo real',
         'seo.description': 'Editor Markdown gratuito baseado em navegador com prévia ao vivo, matemática, diagramas, gerenciamento de arquivos e persistência de sessão. Sem backend.',
     },
@@ -824,6 +1104,8 @@ const translations = {
         'ribbon.exportZip': 'Exporter en ZIP',
         'ribbon.theme': 'Changer le thème',
         'ribbon.pdf': 'Enregistrer l\'aperçu en PDF',
+        'ribbon.exportDiagrams': 'Exporter les diagrammes',
+        'ribbon.pasteFolder': 'Dossier des images collées',
         'ribbon.language': 'Langue',
         'ribbon.reset': 'Réinitialiser la session',
         'ribbon.gigareset': 'SuperReset',
@@ -850,6 +1132,15 @@ const translations = {
         'ctx.copyMdImage': 'Copier comme image Markdown',
         'ctx.download': 'Télécharger',
         'ctx.delete': 'Supprimer',
+        'diagram.one': 'Diagramme {n}',
+        'diagram.all': 'Tous les diagrammes du fichier ({count})',
+        'diagram.downloadSvg': 'Télécharger le SVG',
+        'diagram.downloadPng': 'Télécharger le PNG',
+        'diagram.saveSvg': 'Enregistrer le SVG dans l’espace de travail',
+        'diagram.savePng': 'Enregistrer le PNG dans l’espace de travail',
+        'pwa.updateAvailable': 'Une nouvelle version est disponible.',
+        'pwa.reload': 'Recharger',
+        'pwa.later': 'Plus tard',
         'pane.editor': 'ÉDITEUR',
         'pane.preview': 'APERÇU',
         'editor.placeholder': 'Tapez du Markdown...',
@@ -866,7 +1157,17 @@ const translations = {
         'toast.uploaded': '{count} fichier(s) envoyé(s)',
         'toast.renamed': 'Renommé en "{name}"',
         'toast.duplicated': '"{name}" créé',
+        'toast.created': '"{name}" créé',
+        'toast.linkNotFound': 'Fichier introuvable : {name}',
         'toast.downloaded': '"{name}" téléchargé',
+        'toast.diagramSaved': '« {name} » enregistré dans l’espace de travail',
+        'toast.diagramsExported': '{count} diagramme(s) exporté(s)',
+        'toast.noDiagrams': 'Aucun diagramme affiché dans ce fichier',
+        'toast.diagramExportError': 'Échec de l’export du diagramme',
+        'toast.imagePasted': '{count} image(s) collée(s) dans l\'espace de travail',
+        'toast.pasteImageError': 'Impossible d\'enregistrer l\'image collée',
+        'toast.pasteFolderSet': 'Les images collées seront enregistrées dans {folder}',
+        'toast.offlineReady': 'Prêt à fonctionner hors ligne',
         'toast.deleted': '"{name}" supprimé',
         'toast.existsError': '"{name}" existe déjà',
         'toast.binaryNotEditable': 'Le fichier binaire ne peut pas être édité : {name}',
@@ -878,6 +1179,8 @@ const translations = {
         'toast.exportZipError': 'Échec de l\'exportation ZIP',
         'toast.pdfInfo': 'Utilisez la boîte de dialogue d\'impression du navigateur pour enregistrer en PDF',
         'dialog.deleteConfirm': 'Supprimer {type} "{name}" ?',
+        'dialog.createWikiPage': '« {name} » n\'existe pas encore. Le créer ?',
+        'dialog.pasteFolder': 'Dossier des images collées, relatif au fichier actuel (laisser vide pour ./assets/). La clé assets: du front matter d\'un document est prioritaire.',
         'dialog.replaceOrMerge': 'Remplacer l\'espace de travail actuel ?\\nOK → Remplacer | Annuler → Fusionner',
         'dialog.fileType': 'fichier',
         'dialog.folderType': 'dossier',
@@ -894,6 +1197,7 @@ const translations = {
         'help.altText': 'texte alternatif',
         'help.imageFormats': 'Formats pris en charge : png, jpg, jpeg, gif, webp, svg',
         'help.imageTip': 'Astuce : Cliquez droit sur un fichier dans l\'explorateur → « Copier comme image Markdown »',
+        'help.imagePaste': 'Collez une image (par ex. une capture d\'écran) dans l\'éditeur pour l\'enregistrer dans un dossier assets à côté du fichier actuel et insérer un lien. Définissez assets: dans le front matter pour utiliser un autre dossier.',
         'help.math': '📐 Mathématiques',
         'help.mathDesc': 'Utilisez les signes dollar pour les expressions mathématiques (rendu par MathJax) :',
         'help.mathInlineLabel': 'En ligne',
@@ -904,8 +1208,24 @@ const translations = {
         'help.mermaidStart': 'Début',
         'help.mermaidProcess': 'Traitement',
         'help.mermaidEnd': 'Fin',
+        'help.mermaidExport': 'Faites un clic droit sur un diagramme pour le télécharger ou l’enregistrer dans l’espace de travail en SVG ou PNG. Le bouton Exporter les diagrammes du ruban fait de même pour tous les diagrammes du fichier.',
         'help.pdf': '🖨️ Export PDF',
         'help.pdfDesc': 'Cliquez sur le bouton PDF pour ouvrir la boîte de dialogue d\'impression. Seul l\'aperçu rendu est imprimé.',
+        'help.preview': '🔎 Aperçu',
+        'help.previewDesc': 'Double-cliquez sur un paragraphe, un titre, un élément de liste ou un autre bloc de l\'aperçu pour placer le curseur de l\'éditeur sur sa ligne source Markdown.',
+        'alert.note': 'Remarque',
+        'alert.tip': 'Astuce',
+        'alert.important': 'Important',
+        'alert.warning': 'Avertissement',
+        'alert.caution': 'Attention',
+        'preview.metadata': 'Métadonnées',
+        'preview.renderError': 'Impossible de mettre à jour l\'aperçu : {message}',
+        'help.alerts': '💡 Alertes',
+        'help.alertsDesc': 'Commencez une citation par [!NOTE], [!TIP], [!IMPORTANT], [!WARNING] ou [!CAUTION] seul sur sa ligne pour afficher un encadré :',
+        'help.frontMatter': '🏷️ Front matter',
+        'help.frontMatterDesc': 'Un bloc YAML entre deux lignes --- en tout début de fichier s\'affiche comme une fiche de métadonnées repliable. Son title sert de titre à l\'impression PDF.',
+        'help.wikiLinks': '🔗 Liens wiki',
+        'help.wikiLinksDesc': 'Liez d\'autres fichiers de l\'espace de travail par leur nom. Cliquez sur un lien dans l\'aperçu pour ouvrir le fichier ; un lien vers une page absente propose de la créer.',
         'seo.title': 'RealtimeMD — Éditeur Markdown en temps réel',
         'seo.description': 'Éditeur Markdown gratuit basé sur navigateur avec aperçu en direct, mathématiques, diagrammes, gestion de fichiers et persistance de session. Sans backend.',
     },
@@ -935,6 +1255,8 @@ const translations = {
         'ribbon.exportZip': 'Xuất dạng ZIP',
         'ribbon.theme': 'Đổi giao diện',
         'ribbon.pdf': 'Lưu bản xem trước dạng PDF',
+        'ribbon.exportDiagrams': 'Xuất sơ đồ',
+        'ribbon.pasteFolder': 'Thư mục ảnh dán',
         'ribbon.language': 'Ngôn ngữ',
         'ribbon.reset': 'Đặt lại phiên',
         'ribbon.gigareset': 'SuperReset',
@@ -961,6 +1283,15 @@ const translations = {
         'ctx.copyMdImage': 'Sao chép dạng ảnh Markdown',
         'ctx.download': 'Tải xuống',
         'ctx.delete': 'Xóa',
+        'diagram.one': 'Sơ đồ {n}',
+        'diagram.all': 'Tất cả sơ đồ trong tệp ({count})',
+        'diagram.downloadSvg': 'Tải xuống SVG',
+        'diagram.downloadPng': 'Tải xuống PNG',
+        'diagram.saveSvg': 'Lưu SVG vào không gian làm việc',
+        'diagram.savePng': 'Lưu PNG vào không gian làm việc',
+        'pwa.updateAvailable': 'Đã có phiên bản mới.',
+        'pwa.reload': 'Tải lại',
+        'pwa.later': 'Để sau',
         'pane.editor': 'TRÌNH SOẠN',
         'pane.preview': 'XEM TRƯỚC',
         'editor.placeholder': 'Nhập Markdown...',
@@ -977,7 +1308,17 @@ const translations = {
         'toast.uploaded': 'Đã tải lên {count} tệp',
         'toast.renamed': 'Đã đổi tên thành "{name}"',
         'toast.duplicated': 'Đã tạo "{name}"',
+        'toast.created': 'Đã tạo "{name}"',
+        'toast.linkNotFound': 'Không tìm thấy tệp: {name}',
         'toast.downloaded': 'Đã tải xuống "{name}"',
+        'toast.diagramSaved': 'Đã lưu "{name}" vào không gian làm việc',
+        'toast.diagramsExported': 'Đã xuất {count} sơ đồ',
+        'toast.noDiagrams': 'Không có sơ đồ nào đã hiển thị trong tệp này',
+        'toast.diagramExportError': 'Xuất sơ đồ thất bại',
+        'toast.imagePasted': 'Đã dán {count} ảnh vào không gian làm việc',
+        'toast.pasteImageError': 'Không thể lưu ảnh đã dán',
+        'toast.pasteFolderSet': 'Ảnh dán sẽ được lưu vào {folder}',
+        'toast.offlineReady': 'Đã sẵn sàng dùng ngoại tuyến',
         'toast.deleted': 'Đã xóa "{name}"',
         'toast.existsError': '"{name}" đã tồn tại',
         'toast.binaryNotEditable': 'Không thể chỉnh sửa tệp nhị phân: {name}',
@@ -989,6 +1330,8 @@ const translations = {
         'toast.exportZipError': 'Xuất ZIP thất bại',
         'toast.pdfInfo': 'Sử dụng hộp thoại in của trình duyệt để lưu dạng PDF',
         'dialog.deleteConfirm': 'Xóa {type} "{name}"?',
+        'dialog.createWikiPage': '"{name}" chưa tồn tại. Tạo mới?',
+        'dialog.pasteFolder': 'Thư mục lưu ảnh dán, tương đối với tệp hiện tại (để trống cho ./assets/). Khóa assets: trong front matter của tài liệu sẽ được ưu tiên.',
         'dialog.replaceOrMerge': 'Thay thế không gian làm việc hiện tại?\\nOK → Thay thế | Hủy → Gộp',
         'dialog.fileType': 'tệp',
         'dialog.folderType': 'thư mục',
@@ -1005,6 +1348,7 @@ const translations = {
         'help.altText': 'văn bản thay thế',
         'help.imageFormats': 'Định dạng hỗ trợ: png, jpg, jpeg, gif, webp, svg',
         'help.imageTip': 'Mẹo: Nhấp chuột phải vào tệp trong trình duyệt → "Sao chép dạng ảnh Markdown"',
+        'help.imagePaste': 'Dán ảnh (ví dụ ảnh chụp màn hình) vào trình soạn thảo để lưu vào thư mục assets cạnh tệp hiện tại và chèn liên kết. Đặt assets: trong front matter để dùng thư mục khác.',
         'help.math': '📐 Toán học',
         'help.mathDesc': 'Sử dụng ký hiệu đô la cho biểu thức toán (hiển thị bởi MathJax):',
         'help.mathInlineLabel': 'Nội dòng',
@@ -1015,8 +1359,24 @@ const translations = {
         'help.mermaidStart': 'Bắt đầu',
         'help.mermaidProcess': 'Xử lý',
         'help.mermaidEnd': 'Kết thúc',
+        'help.mermaidExport': 'Nhấp chuột phải vào sơ đồ để tải xuống hoặc lưu vào không gian làm việc dưới dạng SVG hoặc PNG. Nút Xuất sơ đồ trên thanh ribbon làm tương tự cho mọi sơ đồ trong tệp.',
         'help.pdf': '🖨️ Xuất PDF',
         'help.pdfDesc': 'Nhấp nút PDF để mở hộp thoại in của trình duyệt. Chỉ bản xem trước được in.',
+        'help.preview': '🔎 Xem trước',
+        'help.previewDesc': 'Nhấp đúp vào đoạn văn, tiêu đề, mục danh sách hoặc khối khác trong bản xem trước để đưa con trỏ trình soạn đến dòng Markdown nguồn.',
+        'alert.note': 'Ghi chú',
+        'alert.tip': 'Mẹo',
+        'alert.important': 'Quan trọng',
+        'alert.warning': 'Cảnh báo',
+        'alert.caution': 'Thận trọng',
+        'preview.metadata': 'Siêu dữ liệu',
+        'preview.renderError': 'Không thể cập nhật bản xem trước: {message}',
+        'help.alerts': '💡 Cảnh báo',
+        'help.alertsDesc': 'Bắt đầu trích dẫn bằng [!NOTE], [!TIP], [!IMPORTANT], [!WARNING] hoặc [!CAUTION] trên một dòng riêng để hiển thị khung chú thích:',
+        'help.frontMatter': '🏷️ Front matter',
+        'help.frontMatterDesc': 'Khối YAML nằm giữa các dòng --- ở đầu tệp được hiển thị thành thẻ siêu dữ liệu có thể thu gọn. title của nó được dùng khi in PDF.',
+        'help.wikiLinks': '🔗 Liên kết wiki',
+        'help.wikiLinksDesc': 'Liên kết đến tệp khác trong không gian làm việc theo tên. Nhấp vào liên kết trong bản xem trước để mở tệp; liên kết đến trang chưa có sẽ đề nghị tạo trang đó.',
         'seo.title': 'RealtimeMD — Trình soạn Markdown thời gian thực',
         'seo.description': 'Trình soạn Markdown miễn phí trên trình duyệt với xem trước trực tiếp, toán học, sơ đồ, quản lý tệp và lưu trữ phiên. Không cần backend.',
     }
@@ -1,397 +1,2793 @@
 /**
  * markdown.js — Self-contained Markdown Parser
- * Supports GFM-like features: HTML passthrough, MathJax delimiters, Mermaid blocks.
- * No external dependencies. Converts Markdown string → HTML string.
+ * CommonMark-conformant parser with GFM extensions (tables, task lists, strikethrough,
+ * extended autolinks, footnotes), HTML passthrough, MathJax delimiters and Mermaid blocks.
+ * No external dependencies (besides the sibling highlight.js, frontmatter.js and entities.js).
+ * Converts Markdown string → HTML string, or → a public syntax tree (parseToAst) that
+ * other renderers can consume.
  *
  * Design decisions:
- * - HTML blocks are extracted before escaping and reinserted after parsing.
- * - Sanitization is NOT done here — it is done in preview.js via DOMPurify.
- * - Math delimiters \( ... \) and \[ ... \] are protected from escaping.
+ * - Parsing is two-phase, following the CommonMark reference algorithm:
+ *   1. Block phase: lines are consumed one at a time into a tree of container
+ *      blocks (blockquote, list, item) and leaf blocks (paragraph, heading, code…).
+ *   2. Inline phase: the raw text of paragraphs, headings and table cells is parsed
+ *      into inline nodes; emphasis and links are resolved with a delimiter stack.
+ * - The internal linked tree is converted to plain-object MdNodes, which HtmlRenderer
+ *   (or any object with a render(ast) method) turns into output.
+ * - Syntax extensions (addInlineRule, addBlockRule) are tried before the built-in
+ *   syntax; without any, parsing is exactly CommonMark + the extensions above.
+ * - Raw HTML (HTML blocks and inline tags) is passed through untouched.
+ * - Sanitization is NOT done here — preview.js does it via sanitizer.js (DOMPurify,
+ *   or a built-in allowlist sanitizer when DOMPurify is not loaded).
+ * - Math ($…$, $$…$$, \( … \), \[ … \]) is parsed as an opaque span, so Markdown
+ *   syntax inside it is never interpreted. Output uses \( \) and \[ \] for MathJax.
  * - Mermaid fenced code blocks produce <div class="mermaid">...</div> elements.
+ * - Other fenced code is syntax-highlighted by highlight.js when the language is known.
+ * - Block elements carry data-source-line="N" (1-based) so the preview can be
+ *   mapped back to editor lines for scroll sync.
+ * - Headings get GitHub-compatible slug ids, rendered with the ID_PREFIX prefix;
+ *   a [TOC] paragraph or <!-- toc --> comment expands into a nested table of contents.
+ * - A blockquote whose first line is [!NOTE], [!TIP], [!IMPORTANT], [!WARNING] or
+ *   [!CAUTION] becomes a GitHub-style alert; titles come from options.alertTitle.
+ * - Wiki links [[Page]], [[folder/page|alias]], [[page#heading]] are resolved to
+ *   workspace paths through options.resolveWikiLink.
+ * - YAML front matter (frontmatter.js) is removed from the flow: its data is kept
+ *   in parser.metadata and shown as a collapsible card at the top.
  */
-export class MarkdownParser {
-  constructor(options = {}) {
-    this.resolveImagePath = options.resolveImagePath || (src => src);
+
+import { highlightCode } from './highlight.js';
+import { extractFrontMatter } from './frontmatter.js';
+import { NAMED_ENTITIES } from './entities.js';
+
+// ---- Shared patterns ----
+
+const CODE_INDENT = 4;
+// Deepest nesting of container blocks, and of emphasis and links, that is parsed as
+// such. Anything deeper stays text, so the recursive passes cannot exhaust the stack.
+const MAX_NESTING = 100;
+
+const ESCAPABLE = '[!"#$%&\'()*+,./:;<=>?@[\\\\\\]^_`{|}~-]';
+const ENTITY = '&(?:#x[a-f0-9]{1,6}|#[0-9]{1,7}|[a-z][a-z0-9]{1,31});';
+
+const TAGNAME = '[A-Za-z][A-Za-z0-9-]*';
+const ATTRIBUTENAME = '[a-zA-Z_:][a-zA-Z0-9:._-]*';
+const ATTRIBUTEVALUE = '(?:[^"\'=<>`\\x00-\\x20]+|\'[^\']*\'|"[^"]*")';
+const ATTRIBUTE = '(?:\\s+' + ATTRIBUTENAME + '(?:\\s*=\\s*' + ATTRIBUTEVALUE + ')?)';
+const OPENTAG = '<' + TAGNAME + ATTRIBUTE + '*\\s*/?>';
+const CLOSETAG = '</' + TAGNAME + '\\s*[>]';
+const HTMLCOMMENT = '<!-->|<!--->|<!--[\\s\\S]*?-->';
+const PROCESSINGINSTRUCTION = '[<][?][\\s\\S]*?[?][>]';
+const DECLARATION = '<![A-Za-z]+[^>]*>';
+const CDATA = '<!\\[CDATA\\[[\\s\\S]*?\\]\\]>';
+const HTMLTAG = `(?:${OPENTAG}|${CLOSETAG}|${HTMLCOMMENT}|${PROCESSINGINSTRUCTION}|${DECLARATION}|${CDATA})`;
+
+// HTML block start conditions 1–7 and end conditions 1–5 (CommonMark §4.6)
+const reHtmlBlockOpen = [
+  null,
+  /^<(?:script|pre|textarea|style)(?:\s|>|$)/i,
+  /^<!--/,
+  /^<[?]/,
+  /^<![A-Za-z]/,
+  /^<!\[CDATA\[/,
+  /^<[/]?(?:address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h[1-6]|head|header|hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|optgroup|option|p|param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul)(?:\s|[/]?[>]|$)/i,
+  new RegExp(`^(?:${OPENTAG}|${CLOSETAG})\\s*$`, 'i')
+];
+const reHtmlBlockClose = [
+  null,
+  /<\/(?:script|pre|textarea|style)>/i,
+  /-->/,
+  /\?>/,
+  />/,
+  /\]\]>/
+];
+
+const reLineEnding = /\r\n|\n|\r/;
+const reNonSpace = /[^ \t\f\v\r\n]/;
+const reMaybeSpecial = /^[#`~*+_=<>0-9|:$[-]/;
+const reThematicBreak = /^(?:\*[ \t]*){3,}$|^(?:_[ \t]*){3,}$|^(?:-[ \t]*){3,}$/;
+const reBulletListMarker = /^[*+-]/;
+const reOrderedListMarker = /^(\d{1,9})([.)])/;
+const reATXHeadingMarker = /^#{1,6}(?:[ \t]+|$)/;
+const reCodeFence = /^`{3,}(?!.*`)|^~{3,}/;
+const reClosingCodeFence = /^(?:`{3,}|~{3,})(?=[ \t]*$)/;
+const reSetextHeadingLine = /^(?:=+|-+)[ \t]*$/;
+const reMathBlockFence = /^\$\$/;
+const reTableDelimiterRow = /^\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+// Lines that end a table because they start some other block
+const reTableInterrupt = /^(?:>|#{1,6}(?:[ \t]|$)|`{3,}|~{3,}|\$\$)/;
+const reTaskMarker = /^\[([ xX])\](?:[ \t]+|\n|$)/;
+const reFootnoteDef = /^\[\^([^\]\s]+)\]:[ \t]*/;
+const reFootnoteRef = /^\[\^([^\]\s]+)\]/;
+const reWikiLink = /^\[\[([^[\]|\n]+?)(?:\|([^[\]\n]+?))?\]\]/;
+const reTocParagraph = /^\[toc\]$/i;
+const reTocComment = /^<!--\s*toc\s*-->$/i;
+const reAlertMarker = /^\[!(note|tip|important|warning|caution)\][ \t]*(?:\n|$)/i;
+
+// 16×16 outline icons for alert titles, drawn with currentColor
+const ALERT_ICONS = {
+  note: '<circle cx="8" cy="8" r="6.5"/><path d="M8 7.25v4M8 4.75v.01"/>',
+  tip: '<path d="M5.75 11.25v-1.1A4.25 4.25 0 1 1 10.25 10.15v1.1zM6.25 13.75h3.5"/>',
+  important: '<path d="M2 2.25h12v9H7.5L4.5 14v-2.75H2zM8 4.75v3M8 9.5v.01"/>',
+  warning: '<path d="M8 1.75l6.75 12H1.25zM8 6v3.5M8 11.75v.01"/>',
+  caution: '<path d="M5.25 1.5h5.5l3.75 3.75v5.5l-3.75 3.75h-5.5L1.5 10.75v-5.5zM8 4.75v4M8 11v.01"/>',
+};
+// Prefix of generated element ids (headings, footnotes), as on GitHub: the preview
+// shares the page with the app, so "## Status Count" must not become a second id="status-count"
+export const ID_PREFIX = 'user-content-';
+// Characters dropped from heading slugs (everything but letters, marks, digits, _, - and space)
+const reSlugRemove = /[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu;
+
+const reEscapable = new RegExp('^' + ESCAPABLE);
+const reEntityHere = new RegExp('^' + ENTITY, 'i');
+const reEntityOrEscapedChar = new RegExp('\\\\' + ESCAPABLE + '|' + ENTITY, 'gi');
+const reHtmlTag = new RegExp('^' + HTMLTAG);
+const reLinkTitle = new RegExp(
+  '^(?:"(?:\\\\' + ESCAPABLE + '|\\\\[^\\\\]|[^\\\\"\\x00])*"' +
+  '|\'(?:\\\\' + ESCAPABLE + '|\\\\[^\\\\]|[^\\\\\'\\x00])*\'' +
+  '|\\((?:\\\\' + ESCAPABLE + '|\\\\[^\\\\]|[^\\\\()\\x00])*\\))'
+);
+const reLinkDestinationBraces = /^<(?:[^<>\n\\\x00]|\\.)*>/;
+const reLinkLabel = /^\[(?:[^\\[\]]|\\.){0,1000}\]/;
+const reEmailAutolink = /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/;
+const reAutolink = /^<[A-Za-z][A-Za-z0-9.+-]{1,31}:[^<>\x00-\x20]*>/;
+// GFM extended autolinks: www./http(s)://ftp:// after a line start, space, *, _, ~ or (;
+// bare emails (optionally mailto:/xmpp:) not preceded by another address character.
+// xmpp: addresses may end in a /resource of letters, digits, @ and .
+const reExtendedAutolink = /(?<=^|[\s*_~(])(?:(?:https?|ftp):\/\/|www\.)[^\s<]*|(?<![a-zA-Z0-9.+_-])(?:xmpp:[a-zA-Z0-9.+_-]+@[a-zA-Z0-9_-]+(?:\.[a-zA-Z0-9_-]+)+(?:\/[a-zA-Z0-9@.]+)?|(?:mailto:)?[a-zA-Z0-9.+_-]+@[a-zA-Z0-9_-]+(?:\.[a-zA-Z0-9_-]+)+)/g;
+// Domain segments may use any script (www.例え.jp)
+const reAutolinkDomain = /^[\p{L}\p{M}\p{N}_-]+(?:\.[\p{L}\p{M}\p{N}_-]+)*/u;
+const reAutolinkTrailing = /[?!.,:*_~'"]$/;
+const reAutolinkEntity = /&[a-zA-Z0-9]+;$/;
+// Scheme (https:, mailto:, …) or protocol-relative "//host"
+const reExternalUri = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+const reHtmlAnchorOpen = /^<a[\s>]/i;
+const reHtmlAnchorClose = /^<\/a\s*>/i;
+const reTicksHere = /^`+/;
+const reTicks = /`+/g;
+const reSpnl = /^ *(?:\n *)?/;
+const reWhitespaceChar = /^[ \t\n\x0b\x0c\x0d]/;
+const reUnicodeWhitespaceChar = /^\s/;
+const rePunctuation = /^[!"#$%&'()*+,\-./:;<=>?@[\]\\^_`{|}~\p{P}\p{S}]/u;
+const reFinalSpace = / *$/;
+const reInitialSpace = /^ */;
+const reSpaceAtEndOfLine = /^ *(?:\n|$)/;
+// Run of characters with no inline meaning
+const reMain = /^[^\n`[\]\\!<&*_~$]+/;
+// Characters that must be percent-encoded in URLs (existing %XX escapes are kept)
+const reUnsafeUriChars = /%(?![0-9A-Fa-f]{2})|[^A-Za-z0-9;,/?:@&=+$\-_.!~*'()#%]+/g;
+
+/**
+ * Deepest inline nesting (Node.nesting) among the siblings from `first` up to `end`.
+ */
+function inlineNesting(first, end) {
+  let max = 0;
+  for (let n = first; n && n !== end; n = n.next) {
+    if (n.nesting > max) max = n.nesting;
+  }
+  return max;
+}
+
+/**
+ * Decode a single entity reference. Returns null for a well-formed but unknown name.
+ */
+function decodeEntity(entity) {
+  if (entity[1] === '#') {
+    const hex = entity[2] === 'x' || entity[2] === 'X';
+    const code = parseInt(entity.slice(hex ? 3 : 2, -1), hex ? 16 : 10);
+    if (code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) return '\uFFFD';
+    return String.fromCodePoint(code);
+  }
+  const name = entity.slice(1, -1);
+  return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name) ? NAMED_ENTITIES[name] : null;
+}
+
+/**
+ * Replace backslash escapes and entities with the characters they stand for.
+ */
+function unescapeString(str) {
+  if (!/[\\&]/.test(str)) return str;
+  return str.replace(reEntityOrEscapedChar, (m) => {
+    if (m[0] === '\\') return m[1];
+    const decoded = decodeEntity(m);
+    return decoded === null ? m : decoded;
+  });
+}
+
+function normalizeUri(uri) {
+  try {
+    return uri.replace(reUnsafeUriChars, s => encodeURIComponent(s));
+  } catch (e) {
+    // Lone surrogates cannot be encoded — keep the URI as written
+    return uri;
+  }
+}
+
+/**
+ * Normalize a link label for reference lookup: trim, collapse whitespace, case-fold.
+ */
+function normalizeReference(label) {
+  return label.slice(1, -1).trim().replace(/[ \t\r\n]+/g, ' ').toLowerCase().toUpperCase();
+}
+
+/**
+ * GitHub-compatible heading slug: lowercase, punctuation and symbols removed,
+ * spaces turned into hyphens. Letters of any script (e.g. CJK) are kept.
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(reSlugRemove, '').replace(/ /g, '-');
+}
+
+/**
+ * Split a fence info string into the language and display attributes:
+ *   js title="app.js" {1,3-5} showLineNumbers
+ * The language is the first word (up to a "{", so js{1,3} works too).
+ */
+function parseInfoString(info) {
+  const match = /^([^\s{]*)(.*)$/s.exec(info.trim());
+  const attrs = {
+    lang: match[1],
+    title: '',
+    highlightLines: [],
+    showLineNumbers: false,
+    lineNumberStart: 1
+  };
+  const reAttr = /\{([\d\s,-]*)\}|([\w-]+)(?:=("[^"]*"|'[^']*'|\S+))?/g;
+  let m;
+  while ((m = reAttr.exec(match[2])) !== null) {
+    if (m[1] !== undefined) {
+      // Line ranges: {1,3-5}
+      for (const part of m[1].split(',')) {
+        const range = /^\s*(\d+)\s*(?:-\s*(\d+))?\s*$/.exec(part);
+        if (!range) continue;
+        const from = parseInt(range[1], 10);
+        const to = range[2] ? parseInt(range[2], 10) : from;
+        for (let n = from; n <= to && n - from < 10000; n++) attrs.highlightLines.push(n);
+      }
+      continue;
+    }
+    const key = m[2];
+    const value = m[3] ? m[3].replace(/^(["'])(.*)\1$/s, '$2') : null;
+    if (key === 'title' && value !== null) {
+      attrs.title = value;
+    } else if (key === 'showLineNumbers') {
+      attrs.showLineNumbers = true;
+      const start = value === null ? NaN : parseInt(value, 10);
+      if (start >= 0) attrs.lineNumberStart = start;
+    }
+  }
+  return attrs;
+}
+
+function isBlank(str) {
+  return !reNonSpace.test(str);
+}
+
+function isSpaceOrTab(ch) {
+  return ch === ' ' || ch === '\t';
+}
+
+/**
+ * Split a GFM table row into raw cell strings. Escaped pipes (\|) stay in the
+ * cell as a literal pipe.
+ */
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+  const cells = [];
+  let cell = '';
+  for (let i = 0; i < row.length; i++) {
+    const ch = row[i];
+    if (ch === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (ch === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function tableAlignment(cell) {
+  const left = cell.startsWith(':');
+  const right = cell.endsWith(':');
+  if (left && right) return 'center';
+  if (right) return 'right';
+  if (left) return 'left';
+  return '';
+}
+
+/**
+ * Find the next GFM extended autolink in plain text, starting at `from`.
+ * Returns { start, end, href } or null. Trailing punctuation, unbalanced ")"
+ * and a trailing entity-like "&name;" are left out of the link, as on GitHub.
+ */
+function findExtendedAutolink(text, from) {
+  reExtendedAutolink.lastIndex = from;
+  let m;
+  while ((m = reExtendedAutolink.exec(text)) !== null) {
+    const link = m[0].includes('@') && !/^(?:https?|ftp):\/\/|^www\./.test(m[0])
+      ? checkEmailAutolink(m[0])
+      : checkUrlAutolink(m[0]);
+    if (link) return { start: m.index, end: m.index + link.text.length, href: link.href };
+    reExtendedAutolink.lastIndex = m.index + 1;
+  }
+  return null;
+}
+
+function checkUrlAutolink(candidate) {
+  const www = candidate.startsWith('www.');
+  const scheme = www ? '' : candidate.slice(0, candidate.indexOf('://') + 3);
+  const domain = candidate.slice(scheme.length).match(reAutolinkDomain);
+  if (!domain) return null;
+  const segments = domain[0].split('.');
+  // www. links need a dot after "www"; no underscores in the last two segments
+  if (www && segments.length < 3) return null;
+  if (segments.slice(-2).some(seg => seg.includes('_'))) return null;
+
+  let text = candidate;
+  for (;;) {
+    if (reAutolinkTrailing.test(text)) {
+      text = text.slice(0, -1);
+    } else if (text.endsWith(')')) {
+      const opens = text.split('(').length - 1;
+      const closes = text.split(')').length - 1;
+      if (closes <= opens) break;
+      text = text.slice(0, -1);
+    } else if (text.endsWith(';')) {
+      const entity = text.match(reAutolinkEntity);
+      text = text.slice(0, entity ? -entity[0].length : -1);
+    } else {
+      break;
+    }
+  }
+  if (text.length <= scheme.length + (www ? 4 : 0)) return null;
+  return { text, href: www ? `http://${text}` : text };
+}
+
+function checkEmailAutolink(candidate) {
+  // A final "." ends the sentence; "-" or "_" there means it is not an address
+  const text = candidate.replace(/\.$/, '');
+  if (/[-_]$/.test(text) || !text.slice(text.indexOf('@')).includes('.')) return null;
+  return { text, href: /^(?:mailto|xmpp):/.test(text) ? text : `mailto:${text}` };
+}
+
+// ---- Syntax tree ----
+
+/**
+ * A node of the document tree. Block nodes carry the source lines they span;
+ * children are kept as a doubly linked list so the inline phase can splice
+ * delimiter runs cheaply.
+ */
+class Node {
+  constructor(type, startLine = 0) {
+    this.type = type;
+    this.parent = null;
+    this.firstChild = null;
+    this.lastChild = null;
+    this.prev = null;
+    this.next = null;
+    this.startLine = startLine;
+    this.endLine = startLine;
+    this.open = true;
+    this.lastLineBlank = false;
+    this.stringContent = '';
+    this.literal = null;
+    // Inline containers: levels of emphasis and links inside, itself included
+    this.nesting = 0;
+  }
+
+  appendChild(child) {
+    child.unlink();
+    child.parent = this;
+    if (this.lastChild) {
+      this.lastChild.next = child;
+      child.prev = this.lastChild;
+      this.lastChild = child;
+    } else {
+      this.firstChild = child;
+      this.lastChild = child;
+    }
+  }
+
+  prependChild(child) {
+    child.unlink();
+    child.parent = this;
+    if (this.firstChild) {
+      this.firstChild.prev = child;
+      child.next = this.firstChild;
+      this.firstChild = child;
+    } else {
+      this.firstChild = child;
+      this.lastChild = child;
+    }
+  }
+
+  insertAfter(sibling) {
+    sibling.unlink();
+    sibling.next = this.next;
+    if (sibling.next) sibling.next.prev = sibling;
+    sibling.prev = this;
+    this.next = sibling;
+    sibling.parent = this.parent;
+    if (!sibling.next) sibling.parent.lastChild = sibling;
+  }
+
+  unlink() {
+    if (this.prev) {
+      this.prev.next = this.next;
+    } else if (this.parent) {
+      this.parent.firstChild = this.next;
+    }
+    if (this.next) {
+      this.next.prev = this.prev;
+    } else if (this.parent) {
+      this.parent.lastChild = this.prev;
+    }
+    this.parent = null;
+    this.next = null;
+    this.prev = null;
+  }
+
+  get children() {
+    const list = [];
+    for (let child = this.firstChild; child; child = child.next) list.push(child);
+    return list;
+  }
+}
+
+function textNode(str) {
+  const node = new Node('text');
+  node.literal = str;
+  return node;
+}
+
+// ---- Block phase ----
+
+// A block ends with a blank line when a gap separates it from its next sibling
+function endsWithBlankLine(block) {
+  return block.next && block.endLine !== block.next.startLine - 1;
+}
+
+/**
+ * Per-type block behavior.
+ * - continue(parser, block): 0 = line continues the block, 1 = it does not,
+ *   2 = the line was consumed entirely (closing code fence).
+ * - finalize(parser, block): post-processing when the block is closed.
+ * - canContain(type): whether a child of the given type may be added.
+ * - acceptsLines: whether text lines are appended to stringContent.
+ */
+const BLOCKS = {
+  document: {
+    continue: () => 0,
+    finalize: () => {},
+    canContain: t => t !== 'item',
+    acceptsLines: false
+  },
+  list: {
+    continue: () => 0,
+    finalize: (parser, block) => {
+      for (let item = block.firstChild; item; item = item.next) {
+        if (item.next && endsWithBlankLine(item)) {
+          block.listData.tight = false;
+          break;
+        }
+        let loose = false;
+        for (let sub = item.firstChild; sub; sub = sub.next) {
+          if (sub.next && endsWithBlankLine(sub)) {
+            loose = true;
+            break;
+          }
+        }
+        if (loose) {
+          block.listData.tight = false;
+          break;
+        }
+      }
+      block.endLine = block.lastChild.endLine;
+    },
+    canContain: t => t === 'item',
+    acceptsLines: false
+  },
+  blockquote: {
+    continue: (parser) => {
+      if (parser.indented || parser.currentLine[parser.nextNonspace] !== '>') return 1;
+      parser.advanceNextNonspace();
+      parser.advanceOffset(1, false);
+      if (isSpaceOrTab(parser.currentLine[parser.offset])) parser.advanceOffset(1, true);
+      return 0;
+    },
+    finalize: () => {},
+    canContain: t => t !== 'item',
+    acceptsLines: false
+  },
+  item: {
+    continue: (parser, block) => {
+      if (parser.blank) {
+        // A blank line after an empty list item ends it
+        if (!block.firstChild) return 1;
+        parser.advanceNextNonspace();
+      } else if (parser.indent >= block.listData.markerOffset + block.listData.padding) {
+        parser.advanceOffset(block.listData.markerOffset + block.listData.padding, true);
+      } else {
+        return 1;
+      }
+      return 0;
+    },
+    finalize: (parser, block) => {
+      block.endLine = block.lastChild ? block.lastChild.endLine : block.startLine;
+    },
+    canContain: t => t !== 'item',
+    acceptsLines: false
+  },
+  footnote_definition: {
+    continue: (parser) => {
+      // Content continues while indented by four columns (or on blank lines)
+      if (parser.blank) {
+        parser.advanceNextNonspace();
+      } else if (parser.indent >= CODE_INDENT) {
+        parser.advanceOffset(CODE_INDENT, true);
+      } else {
+        return 1;
+      }
+      return 0;
+    },
+    finalize: (parser, block) => {
+      // The first definition of a label wins
+      if (!parser.footnotes[block.label]) parser.footnotes[block.label] = block;
+    },
+    canContain: t => t !== 'item',
+    acceptsLines: false
+  },
+  heading: {
+    continue: () => 1,
+    finalize: () => {},
+    canContain: () => false,
+    acceptsLines: false
+  },
+  thematic_break: {
+    continue: () => 1,
+    finalize: () => {},
+    canContain: () => false,
+    acceptsLines: false
+  },
+  code_block: {
+    continue: (parser, block) => {
+      const line = parser.currentLine;
+      if (block.fenced) {
+        const match = parser.indent <= 3 &&
+          line[parser.nextNonspace] === block.fenceChar &&
+          line.slice(parser.nextNonspace).match(reClosingCodeFence);
+        if (match && match[0].length >= block.fenceLength) {
+          parser.finalize(block, parser.lineNumber);
+          return 2;
+        }
+        // Skip optional spaces of the fence indentation
+        let i = block.fenceOffset;
+        while (i > 0 && isSpaceOrTab(line[parser.offset])) {
+          parser.advanceOffset(1, true);
+          i--;
+        }
+      } else if (parser.indent >= CODE_INDENT) {
+        parser.advanceOffset(CODE_INDENT, true);
+      } else if (parser.blank) {
+        parser.advanceNextNonspace();
+      } else {
+        return 1;
+      }
+      return 0;
+    },
+    finalize: (parser, block) => {
+      if (block.fenced) {
+        // First line is the info string
+        const content = block.stringContent;
+        const newlinePos = content.indexOf('\n');
+        block.info = unescapeString(content.slice(0, newlinePos).trim());
+        block.literal = content.slice(newlinePos + 1);
+      } else {
+        block.info = '';
+        // Trailing blank lines are not part of an indented code block
+        const lines = block.stringContent.split('\n');
+        while (lines.length > 0 && isBlank(lines[lines.length - 1])) lines.pop();
+        block.literal = lines.join('\n') + '\n';
+        block.endLine = block.startLine + lines.length - 1;
+      }
+      Object.assign(block, parseInfoString(block.info));
+      block.stringContent = '';
+    },
+    canContain: () => false,
+    acceptsLines: true
+  },
+  math_block: {
+    continue: (parser, block) => {
+      if (block.closed) return 1;
+      const rest = parser.currentLine.slice(parser.offset);
+      if (rest.trimEnd().endsWith('$$')) {
+        const body = rest.trimEnd().slice(0, -2);
+        if (!isBlank(body)) block.stringContent += body + '\n';
+        parser.finalize(block, parser.lineNumber);
+        return 2;
+      }
+      return 0;
+    },
+    finalize: (parser, block) => {
+      block.literal = block.stringContent.trim();
+      block.stringContent = '';
+    },
+    canContain: () => false,
+    acceptsLines: true
+  },
+  html_block: {
+    continue: (parser, block) => (parser.blank && (block.htmlBlockType === 6 || block.htmlBlockType === 7) ? 1 : 0),
+    finalize: (parser, block) => {
+      block.literal = block.stringContent.replace(/\n$/, '');
+      block.stringContent = '';
+    },
+    canContain: () => false,
+    acceptsLines: true
+  },
+  paragraph: {
+    continue: parser => (parser.blank ? 1 : 0),
+    finalize: (parser, block) => {
+      // Link reference definitions may only appear at the start of a paragraph
+      let consumed = 0;
+      while (block.stringContent[0] === '[' &&
+        (consumed = parser.inlineParser.parseReference(block.stringContent, parser.refmap))) {
+        const removed = block.stringContent.slice(0, consumed);
+        block.stringContent = block.stringContent.slice(consumed);
+        block.startLine += removed.split('\n').length - 1;
+      }
+      if (isBlank(block.stringContent)) block.unlink();
+    },
+    canContain: () => false,
+    acceptsLines: true
+  },
+  table: {
+    continue: (parser) => {
+      if (parser.blank) return 1;
+      const rest = parser.currentLine.slice(parser.nextNonspace);
+      if (!parser.indented && (reTableInterrupt.test(rest) || reThematicBreak.test(rest))) return 1;
+      return 0;
+    },
+    finalize: (parser, block) => {
+      const lines = block.stringContent.replace(/\n$/, '').split('\n');
+      const columns = block.alignments.length;
+      lines.forEach((line, idx) => {
+        if (idx === 1) return; // delimiter row
+        const row = new Node('table_row', block.startLine + idx);
+        row.isHeader = idx === 0;
+        const cells = splitTableRow(line);
+        for (let c = 0; c < columns; c++) {
+          const cell = new Node('table_cell', row.startLine);
+          cell.align = block.alignments[c];
+          cell.stringContent = cells[c] || '';
+          row.appendChild(cell);
+        }
+        block.appendChild(row);
+      });
+      block.stringContent = '';
+    },
+    canContain: () => false,
+    acceptsLines: true
+  }
+};
+
+/**
+ * Block start functions, tried in order at each position of a line.
+ * Return 0 = no match, 1 = matched a container (keep going), 2 = matched a leaf.
+ */
+const BLOCK_STARTS = [
+  // Blockquote
+  (parser) => {
+    if (parser.indented || parser.currentLine[parser.nextNonspace] !== '>') return 0;
+    parser.advanceNextNonspace();
+    parser.advanceOffset(1, false);
+    if (isSpaceOrTab(parser.currentLine[parser.offset])) parser.advanceOffset(1, true);
+    parser.closeUnmatchedBlocks();
+    parser.addChild('blockquote');
+    return 1;
+  },
+
+  // Footnote definition: [^label]: text
+  (parser, container) => {
+    // Like link reference definitions, it cannot interrupt a paragraph
+    if (parser.indented || container.type === 'paragraph') return 0;
+    const match = parser.currentLine.slice(parser.nextNonspace).match(reFootnoteDef);
+    if (!match) return 0;
+    parser.advanceNextNonspace();
+    parser.advanceOffset(match[0].length, false);
+    parser.closeUnmatchedBlocks();
+    const def = parser.addChild('footnote_definition');
+    def.label = normalizeReference(`[${match[1]}]`);
+    return 1;
+  },
+
+  // ATX heading
+  (parser) => {
+    if (parser.indented) return 0;
+    const match = parser.currentLine.slice(parser.nextNonspace).match(reATXHeadingMarker);
+    if (!match) return 0;
+    parser.advanceNextNonspace();
+    parser.advanceOffset(match[0].length, false);
+    parser.closeUnmatchedBlocks();
+    const heading = parser.addChild('heading');
+    heading.level = match[0].trim().length;
+    // Strip the optional closing sequence of #s
+    heading.stringContent = parser.currentLine.slice(parser.offset)
+      .replace(/^[ \t]*#+[ \t]*$/, '')
+      .replace(/[ \t]+#+[ \t]*$/, '');
+    parser.advanceOffset(parser.currentLine.length - parser.offset, false);
+    return 2;
+  },
+
+  // Fenced code block
+  (parser) => {
+    if (parser.indented) return 0;
+    const match = parser.currentLine.slice(parser.nextNonspace).match(reCodeFence);
+    if (!match) return 0;
+    parser.closeUnmatchedBlocks();
+    const block = parser.addChild('code_block');
+    block.fenced = true;
+    block.fenceLength = match[0].length;
+    block.fenceChar = match[0][0];
+    block.fenceOffset = parser.indent;
+    parser.advanceNextNonspace();
+    parser.advanceOffset(match[0].length, false);
+    return 2;
+  },
+
+  // Display math block: $$ … $$
+  (parser) => {
+    if (parser.indented) return 0;
+    const rest = parser.currentLine.slice(parser.nextNonspace);
+    if (!reMathBlockFence.test(rest)) return 0;
+    const after = rest.slice(2).trimEnd();
+    // "$$ x $$ and more" is inline math inside a paragraph, not a block
+    if (after.includes('$$') && !after.endsWith('$$')) return 0;
+    parser.closeUnmatchedBlocks();
+    const block = parser.addChild('math_block');
+    if (after.endsWith('$$')) {
+      block.stringContent = after.slice(0, -2) + '\n';
+      block.closed = true;
+    } else {
+      block.stringContent = after ? after + '\n' : '';
+    }
+    parser.advanceOffset(parser.currentLine.length - parser.offset, false);
+    return 2;
+  },
+
+  // HTML block
+  (parser, container) => {
+    if (parser.indented || parser.currentLine[parser.nextNonspace] !== '<') return 0;
+    const rest = parser.currentLine.slice(parser.nextNonspace);
+    for (let type = 1; type <= 7; type++) {
+      if (!reHtmlBlockOpen[type].test(rest)) continue;
+      // Type 7 cannot interrupt a paragraph (including a lazy continuation)
+      if (type === 7 && (container.type === 'paragraph' ||
+        (!parser.allClosed && !parser.blank && parser.tip.type === 'paragraph'))) {
+        continue;
+      }
+      parser.closeUnmatchedBlocks();
+      // Leading spaces are part of the HTML block, so the offset is not advanced
+      const block = parser.addChild('html_block');
+      block.htmlBlockType = type;
+      return 2;
+    }
+    return 0;
+  },
+
+  // Setext heading
+  (parser, container) => {
+    if (parser.indented || container.type !== 'paragraph') return 0;
+    const match = parser.currentLine.slice(parser.nextNonspace).match(reSetextHeadingLine);
+    if (!match) return 0;
+    parser.closeUnmatchedBlocks();
+    // Reference definitions are not part of the heading text
+    let consumed = 0;
+    while (container.stringContent[0] === '[' &&
+      (consumed = parser.inlineParser.parseReference(container.stringContent, parser.refmap))) {
+      container.stringContent = container.stringContent.slice(consumed);
+    }
+    if (container.stringContent.length === 0) return 0;
+    const heading = new Node('heading', container.startLine);
+    heading.level = match[0][0] === '=' ? 1 : 2;
+    heading.stringContent = container.stringContent;
+    container.insertAfter(heading);
+    container.unlink();
+    parser.tip = heading;
+    parser.advanceOffset(parser.currentLine.length - parser.offset, false);
+    return 2;
+  },
+
+  // GFM table: the paragraph's last line is the header row, this line is the delimiter row
+  (parser, container) => {
+    if (parser.indented || container.type !== 'paragraph') return 0;
+    const rest = parser.currentLine.slice(parser.nextNonspace);
+    if (!rest.includes('|') || !reTableDelimiterRow.test(rest)) return 0;
+
+    const paraLines = container.stringContent.replace(/\n$/, '').split('\n');
+    const header = paraLines.pop();
+    const alignments = splitTableRow(rest).map(tableAlignment);
+    if (splitTableRow(header).length !== alignments.length) return 0;
+
+    parser.closeUnmatchedBlocks();
+    const headerLine = parser.lineNumber - 1;
+    if (paraLines.length > 0) {
+      // Preceding lines stay a paragraph of their own
+      container.stringContent = paraLines.join('\n') + '\n';
+      parser.finalize(container, headerLine - 1);
+    } else {
+      parser.tip = container.parent;
+      container.unlink();
+    }
+    const table = parser.addChild('table');
+    table.startLine = headerLine;
+    table.alignments = alignments;
+    table.stringContent = header + '\n';
+    parser.advanceNextNonspace();
+    return 2;
+  },
+
+  // Thematic break
+  (parser) => {
+    if (parser.indented || !reThematicBreak.test(parser.currentLine.slice(parser.nextNonspace))) return 0;
+    parser.closeUnmatchedBlocks();
+    parser.addChild('thematic_break');
+    parser.advanceOffset(parser.currentLine.length - parser.offset, false);
+    return 2;
+  },
+
+  // List item
+  (parser, container) => {
+    if (parser.indented && container.type !== 'list') return 0;
+    const data = parser.parseListMarker(container);
+    if (!data) return 0;
+    parser.closeUnmatchedBlocks();
+    if (parser.tip.type !== 'list' || !listsMatch(container.listData, data)) {
+      const list = parser.addChild('list');
+      list.listData = data;
+    }
+    const item = parser.addChild('item');
+    item.listData = data;
+    return 1;
+  },
+
+  // Indented code block
+  (parser) => {
+    if (!parser.indented || parser.tip.type === 'paragraph' || parser.blank) return 0;
+    parser.advanceOffset(CODE_INDENT, true);
+    parser.closeUnmatchedBlocks();
+    parser.addChild('code_block');
+    return 2;
+  }
+];
+
+function listsMatch(listData, itemData) {
+  return listData.type === itemData.type &&
+    listData.delimiter === itemData.delimiter &&
+    listData.bulletChar === itemData.bulletChar;
+}
+
+/**
+ * Block behavior for a syntax extension (see MarkdownParser.addBlockRule).
+ * "blocks" content holds child blocks; "text" content keeps its raw lines as
+ * fields.literal, without the opening line.
+ */
+function extensionBlockSpec(rule) {
+  const isText = rule.content === 'text';
+  return {
+    continue: (parser, block) => {
+      const result = rule.continue ? rule.continue(parser.currentLine.slice(parser.offset), block.fields) : true;
+      if (result === 'close') {
+        // The closing line also closes whatever is still open inside the block
+        while (parser.tip !== block) parser.finalize(parser.tip, parser.lineNumber - 1);
+        parser.finalize(block, parser.lineNumber);
+        return 2;
+      }
+      return result ? 0 : 1;
+    },
+    finalize: (parser, block) => {
+      if (!isText) return;
+      const content = block.stringContent;
+      block.fields.literal = content.slice(content.indexOf('\n') + 1);
+      block.stringContent = '';
+    },
+    canContain: isText ? () => false : t => t !== 'item',
+    acceptsLines: isText
+  };
+}
+
+function extensionBlockStart(rule) {
+  return (parser) => {
+    if (parser.indented) return 0;
+    const fields = rule.start(parser.currentLine.slice(parser.nextNonspace));
+    if (!fields) return 0;
+    parser.closeUnmatchedBlocks();
+    const block = parser.addChild(rule.name);
+    block.fields = { ...fields };
+    if (rule.content === 'text') {
+      block.leaf = true;
+      return 2;
+    }
+    // The opening line is consumed; content starts on the next line
+    parser.advanceOffset(parser.currentLine.length - parser.offset, false);
+    return 1;
+  };
+}
+
+/**
+ * Builds the block tree from source lines. Tracks the current line, the
+ * offset/column reached within it, and the chain of open blocks.
+ */
+class BlockParser {
+  constructor(inlineParser, rules = []) {
+    this.inlineParser = inlineParser;
+    this.blockSpecs = { ...BLOCKS };
+    rules.forEach(rule => { this.blockSpecs[rule.name] = extensionBlockSpec(rule); });
+    this.extensionStarts = rules.map(extensionBlockStart);
+  }
+
+  parse(input) {
+    this.doc = new Node('document', 1);
+    this.tip = this.doc;
+    this.oldtip = this.doc;
+    this.refmap = {};
+    this.footnotes = {};
+    this.lineNumber = 0;
+    this.offset = 0;
+    this.column = 0;
+    this.lastMatchedContainer = this.doc;
+    this.currentLine = '';
+
+    const lines = input.split(reLineEnding);
+    let count = lines.length;
+    // Ignore the empty "line" after a final newline
+    if (input.endsWith('\n') || input.endsWith('\r')) count -= 1;
+    for (let i = 0; i < count; i++) {
+      this._incorporateLine(lines[i]);
+    }
+    while (this.tip) {
+      this.finalize(this.tip, count);
+    }
+    return this.doc;
+  }
+
+  _incorporateLine(line) {
+    let container = this.doc;
+    this.oldtip = this.tip;
+    this.offset = 0;
+    this.column = 0;
+    this.blank = false;
+    this.partiallyConsumedTab = false;
+    this.lineNumber += 1;
+
+    // Replace NUL characters for security
+    if (line.includes('\u0000')) line = line.replace(/\0/g, '\uFFFD');
+    this.currentLine = line;
+
+    // Walk down the open blocks; stop at the first one this line does not continue
+    let allMatched = true;
+    let lastChild;
+    let depth = 0;
+    while ((lastChild = container.lastChild) && lastChild.open) {
+      container = lastChild;
+      depth++;
+      this._findNextNonspace();
+      const res = this.blockSpecs[container.type].continue(this, container);
+      if (res === 2) return;
+      if (res === 1) {
+        allMatched = false;
+        container = container.parent;
+        depth--;
+        break;
+      }
+    }
+
+    this.allClosed = container === this.oldtip;
+    this.lastMatchedContainer = container;
+
+    // Try new block starts, unless the last matched container is a leaf taking raw lines
+    let matchedLeaf = container.type !== 'paragraph' && this.blockSpecs[container.type].acceptsLines;
+    while (!matchedLeaf) {
+      this._findNextNonspace();
+
+      // No new blocks past MAX_NESTING: the rest of the line is text
+      if (depth >= MAX_NESTING) {
+        this.advanceNextNonspace();
+        break;
+      }
+
+      // Syntax extensions come first, so they can claim any line
+      let res = 0;
+      for (const start of this.extensionStarts) {
+        res = start(this, container);
+        if (res !== 0) break;
+      }
+
+      // Fast path: plain text cannot start a built-in block
+      if (res === 0 && !this.indented && !reMaybeSpecial.test(line.slice(this.nextNonspace))) {
+        this.advanceNextNonspace();
+        break;
+      }
+
+      for (let i = 0; res === 0 && i < BLOCK_STARTS.length; i++) {
+        res = BLOCK_STARTS[i](this, container);
+      }
+      if (res === 0) {
+        this.advanceNextNonspace();
+        break;
+      }
+      container = this.tip;
+      if (res === 2) matchedLeaf = true;
+      depth = 0;
+      for (let b = container; b !== this.doc; b = b.parent) depth++;
+    }
+
+    // What remains at the offset is text: lazy paragraph continuation or new content
+    if (!this.allClosed && !this.blank && this.tip.type === 'paragraph') {
+      this._addLine();
+    } else {
+      this.closeUnmatchedBlocks();
+      if (this.blank && container.lastChild) {
+        container.lastChild.lastLineBlank = true;
+      }
+
+      const t = container.type;
+      // Blank lines directly inside a blockquote, fenced code or a just-opened item don't count
+      const lastLineBlank = this.blank &&
+        !(t === 'blockquote' ||
+          (t === 'code_block' && container.fenced) ||
+          (t === 'item' && !container.firstChild && container.startLine === this.lineNumber));
+      for (let cont = container; cont; cont = cont.parent) {
+        cont.lastLineBlank = lastLineBlank;
+      }
+
+      if (this.blockSpecs[t].acceptsLines) {
+        this._addLine();
+        if (t === 'html_block' && container.htmlBlockType <= 5 &&
+          reHtmlBlockClose[container.htmlBlockType].test(line.slice(this.offset))) {
+          this.finalize(container, this.lineNumber);
+        } else if (t === 'math_block' && container.closed) {
+          this.finalize(container, this.lineNumber);
+        }
+      } else if (this.offset < line.length && !this.blank) {
+        this.addChild('paragraph');
+        this.advanceNextNonspace();
+        this._addLine();
+      }
+    }
+  }
+
+  _findNextNonspace() {
+    const line = this.currentLine;
+    let i = this.offset;
+    let cols = this.column;
+    let ch;
+    while ((ch = line[i]) !== undefined) {
+      if (ch === ' ') {
+        i++;
+        cols++;
+      } else if (ch === '\t') {
+        i++;
+        cols += 4 - (cols % 4);
+      } else {
+        break;
+      }
+    }
+    this.blank = ch === undefined || ch === '\n' || ch === '\r';
+    this.nextNonspace = i;
+    this.nextNonspaceColumn = cols;
+    this.indent = cols - this.column;
+    this.indented = this.indent >= CODE_INDENT;
+  }
+
+  advanceNextNonspace() {
+    this.offset = this.nextNonspace;
+    this.column = this.nextNonspaceColumn;
+    this.partiallyConsumedTab = false;
+  }
+
+  /**
+   * Advance by `count` characters, or by `count` columns when `columns` is true
+   * (a tab may then be only partially consumed).
+   */
+  advanceOffset(count, columns) {
+    const line = this.currentLine;
+    let ch;
+    while (count > 0 && (ch = line[this.offset]) !== undefined) {
+      if (ch === '\t') {
+        const charsToTab = 4 - (this.column % 4);
+        if (columns) {
+          this.partiallyConsumedTab = charsToTab > count;
+          const advance = Math.min(charsToTab, count);
+          this.column += advance;
+          this.offset += this.partiallyConsumedTab ? 0 : 1;
+          count -= advance;
+        } else {
+          this.partiallyConsumedTab = false;
+          this.column += charsToTab;
+          this.offset += 1;
+          count -= 1;
+        }
+      } else {
+        this.partiallyConsumedTab = false;
+        this.offset += 1;
+        this.column += 1;
+        count -= 1;
+      }
+    }
+  }
+
+  _addLine() {
+    if (this.partiallyConsumedTab) {
+      // Replace the rest of a partially consumed tab with spaces
+      this.offset += 1;
+      this.tip.stringContent += ' '.repeat(4 - (this.column % 4));
+    }
+    this.tip.stringContent += this.currentLine.slice(this.offset) + '\n';
+  }
+
+  /**
+   * Add a block of the given type at the tip, closing blocks that cannot contain it.
+   */
+  addChild(type) {
+    while (!this.blockSpecs[this.tip.type].canContain(type)) {
+      this.finalize(this.tip, this.lineNumber - 1);
+    }
+    const block = new Node(type, this.lineNumber);
+    this.tip.appendChild(block);
+    this.tip = block;
+    return block;
+  }
+
+  closeUnmatchedBlocks() {
+    if (this.allClosed) return;
+    while (this.oldtip !== this.lastMatchedContainer) {
+      const parent = this.oldtip.parent;
+      this.finalize(this.oldtip, this.lineNumber - 1);
+      this.oldtip = parent;
+    }
+    this.allClosed = true;
+  }
+
+  finalize(block, lineNumber) {
+    const above = block.parent;
+    block.open = false;
+    block.endLine = lineNumber;
+    this.blockSpecs[block.type].finalize(this, block);
+    this.tip = above;
+  }
+
+  /**
+   * Parse a list marker at the current position. Returns list data or null.
+   */
+  parseListMarker(container) {
+    if (this.indent >= CODE_INDENT) return null;
+    const rest = this.currentLine.slice(this.nextNonspace);
+    const data = {
+      type: null,
+      tight: true,
+      bulletChar: null,
+      start: null,
+      delimiter: null,
+      padding: null,
+      markerOffset: this.indent
+    };
+
+    let match;
+    if ((match = rest.match(reBulletListMarker))) {
+      data.type = 'bullet';
+      data.bulletChar = match[0][0];
+    } else if ((match = rest.match(reOrderedListMarker)) &&
+      (container.type !== 'paragraph' || match[1] === '1')) {
+      data.type = 'ordered';
+      data.start = parseInt(match[1], 10);
+      data.delimiter = match[2];
+    } else {
+      return null;
+    }
+
+    // The marker must be followed by whitespace or the end of the line
+    const after = this.currentLine[this.nextNonspace + match[0].length];
+    if (!(after === undefined || after === '\t' || after === ' ')) return null;
+
+    // An item interrupting a paragraph must not start with a blank line
+    if (container.type === 'paragraph' &&
+      isBlank(this.currentLine.slice(this.nextNonspace + match[0].length))) {
+      return null;
+    }
+
+    this.advanceNextNonspace();
+    this.advanceOffset(match[0].length, true);
+    const spacesStartCol = this.column;
+    const spacesStartOffset = this.offset;
+    do {
+      this.advanceOffset(1, true);
+    } while (this.column - spacesStartCol < 5 && isSpaceOrTab(this.currentLine[this.offset]));
+
+    const blankItem = this.currentLine[this.offset] === undefined;
+    const spacesAfterMarker = this.column - spacesStartCol;
+    if (spacesAfterMarker >= 5 || spacesAfterMarker < 1 || blankItem) {
+      // Content starts one space after the marker; the rest is indented content
+      data.padding = match[0].length + 1;
+      this.column = spacesStartCol;
+      this.offset = spacesStartOffset;
+      if (isSpaceOrTab(this.currentLine[this.offset])) this.advanceOffset(1, true);
+    } else {
+      data.padding = match[0].length + spacesAfterMarker;
+    }
+    return data;
+  }
+}
+
+// ---- Inline phase ----
+
+/**
+ * Parses the raw text of a leaf block into inline nodes. Emphasis, strikethrough
+ * and links are resolved with the delimiter and bracket stacks of the
+ * CommonMark "process emphasis" algorithm.
+ */
+class InlineParser {
+  constructor(rules = []) {
+    this.subject = '';
+    this.pos = 0;
+    this.delimiters = null;
+    this.brackets = null;
+    this.refmap = {};
+    // Footnote definitions by label; referenced ones are numbered in order of first use
+    this.footnotes = {};
+    this.footnoteOrder = [];
+
+    // Syntax extensions by trigger character; plain text runs stop at every trigger
+    this.rulesByChar = new Map();
+    this.activeRules = new Set();
+    // Extended autolink spans of the subject, found on the first trigger (see _inAutolink)
+    this._autolinkSubject = null;
+    this._autolinkSpans = [];
+    // Next inline math closer of the subject (see _mathCloser)
+    this._mathCloserCache = { subject: null, from: 0, at: -1 };
+    this.reMain = reMain;
+    for (const rule of rules) {
+      for (const ch of rule.triggers) {
+        if (!this.rulesByChar.has(ch)) this.rulesByChar.set(ch, []);
+        this.rulesByChar.get(ch).push(rule);
+      }
+    }
+    if (this.rulesByChar.size > 0) {
+      const triggers = [...this.rulesByChar.keys()].join('').replace(/[\\\]^-]/g, '\\$&');
+      this.reMain = new RegExp(`^[^\\n\`[\\]\\\\!<&*_~$${triggers}]+`);
+    }
+  }
+
+  parse(block) {
+    this.subject = block.stringContent.trim();
+    this.pos = 0;
+    this.delimiters = null;
+    this.brackets = null;
+    while (this._parseInline(block)) { /* keep consuming */ }
+    block.stringContent = '';
+    this._processEmphasis(null);
+    this._linkifyText(block);
+  }
+
+  /**
+   * Turn GFM extended autolinks in text nodes into links. Links, images, raw
+   * <a>…</a> HTML and code are left alone (code spans are not text nodes).
+   */
+  _linkifyText(node) {
+    let inRawLink = false;
+    for (let child = node.firstChild; child; child = child.next) {
+      if (child.type === 'html_inline') {
+        if (reHtmlAnchorOpen.test(child.literal)) inRawLink = true;
+        else if (reHtmlAnchorClose.test(child.literal)) inRawLink = false;
+      } else if (child.type === 'text') {
+        if (!inRawLink) child = this._linkifyTextNode(child);
+      } else if (child.type !== 'link' && child.type !== 'image' && child.type !== 'wikilink') {
+        this._linkifyText(child);
+      }
+    }
+  }
+
+  // Returns the last node of the replacement so the caller can continue after it
+  _linkifyTextNode(node) {
+    // Unmatched delimiters (e.g. "_" in a URL) leave adjacent text nodes; join them
+    while (node.next && node.next.type === 'text') {
+      node.literal += node.next.literal;
+      node.next.unlink();
+    }
+    const text = node.literal;
+    let found = findExtendedAutolink(text, 0);
+    if (!found) return node;
+
+    let last = node;
+    let pos = 0;
+    node.literal = text.slice(0, found.start);
+    while (found) {
+      const link = new Node('link');
+      link.destination = found.href;
+      link.title = '';
+      link.appendChild(textNode(text.slice(found.start, found.end)));
+      last.insertAfter(link);
+      last = link;
+      pos = found.end;
+      found = findExtendedAutolink(text, pos);
+      const rest = text.slice(pos, found ? found.start : text.length);
+      if (rest) {
+        const restNode = textNode(rest);
+        last.insertAfter(restNode);
+        last = restNode;
+      }
+    }
+    if (node.literal === '') node.unlink();
+    return last;
+  }
+
+  _match(re) {
+    const m = re.exec(this.subject.slice(this.pos));
+    if (m === null) return null;
+    this.pos += m.index + m[0].length;
+    return m[0];
+  }
+
+  _peek() {
+    return this.pos < this.subject.length ? this.subject[this.pos] : null;
+  }
+
+  // Skip spaces, including at most one newline
+  _spnl() {
+    this._match(reSpnl);
+    return true;
+  }
+
+  _parseInline(block) {
+    const ch = this._peek();
+    if (ch === null) return false;
+
+    const rules = this.rulesByChar.get(ch);
+    if (rules && !this._inAutolink(this.pos) && this._parseExtension(rules, block)) return true;
+
+    let handled = false;
+    switch (ch) {
+      case '\n': handled = this._parseNewline(block); break;
+      case '\\': handled = this._parseBackslash(block); break;
+      case '`': handled = this._parseBackticks(block); break;
+      case '*':
+      case '_':
+      case '~': handled = this._handleDelim(ch, block); break;
+      case '[': handled = this._parseOpenBracket(block); break;
+      case '!': handled = this._parseBang(block); break;
+      case ']': handled = this._parseCloseBracket(block); break;
+      case '<': handled = this._parseAutolink(block) || this._parseHtmlTag(block); break;
+      case '&': handled = this._parseEntity(block); break;
+      case '$': handled = this._parseMath(block); break;
+      default: handled = this._parseString(block); break;
+    }
+    if (!handled) {
+      this.pos += 1;
+      block.appendChild(textNode(ch));
+    }
+    return true;
+  }
+
+  _parseNewline(block) {
+    this.pos += 1;
+    // Two or more trailing spaces make a hard break
+    const last = block.lastChild;
+    if (last && last.type === 'text' && last.literal.endsWith(' ')) {
+      const hard = last.literal.endsWith('  ');
+      last.literal = last.literal.replace(reFinalSpace, '');
+      block.appendChild(new Node(hard ? 'linebreak' : 'softbreak'));
+    } else {
+      block.appendChild(new Node('softbreak'));
+    }
+    this._match(reInitialSpace);
+    return true;
+  }
+
+  _parseBackslash(block) {
+    const subj = this.subject;
+    const next = subj[this.pos + 1];
+
+    // \( … \) and \[ … \] are MathJax delimiters
+    if (next === '(' || next === '[') {
+      const close = next === '(' ? '\\)' : '\\]';
+      const end = subj.indexOf(close, this.pos + 2);
+      if (end !== -1 && !isBlank(subj.slice(this.pos + 2, end))) {
+        block.appendChild(this._mathNode(subj.slice(this.pos + 2, end), next === '['));
+        this.pos = end + 2;
+        return true;
+      }
+    }
+
+    this.pos += 1;
+    if (next === '\n') {
+      this.pos += 1;
+      block.appendChild(new Node('linebreak'));
+    } else if (next !== undefined && reEscapable.test(next)) {
+      block.appendChild(textNode(next));
+      this.pos += 1;
+    } else {
+      block.appendChild(textNode('\\'));
+    }
+    return true;
+  }
+
+  _parseBackticks(block) {
+    const ticks = this._match(reTicksHere);
+    if (ticks === null) return false;
+    const afterOpen = this.pos;
+
+    reTicks.lastIndex = afterOpen;
+    let m;
+    while ((m = reTicks.exec(this.subject)) !== null) {
+      if (m[0] === ticks) {
+        const node = new Node('code');
+        let contents = this.subject.slice(afterOpen, m.index).replace(/\n/g, ' ');
+        // Strip one space on each side, unless the content is all spaces
+        if (contents[0] === ' ' && contents[contents.length - 1] === ' ' && /[^ ]/.test(contents)) {
+          contents = contents.slice(1, -1);
+        }
+        node.literal = contents;
+        block.appendChild(node);
+        this.pos = m.index + m[0].length;
+        return true;
+      }
+    }
+    // No matching closer: the backticks are literal
+    this.pos = afterOpen;
+    block.appendChild(textNode(ticks));
+    return true;
+  }
+
+  _parseMath(block) {
+    const subj = this.subject;
+    const start = this.pos;
+
+    // $$ … $$ inside a paragraph is display math
+    if (subj[start + 1] === '$') {
+      const end = subj.indexOf('$$', start + 2);
+      if (end !== -1 && !isBlank(subj.slice(start + 2, end))) {
+        block.appendChild(this._mathNode(subj.slice(start + 2, end).trim(), true));
+        this.pos = end + 2;
+        return true;
+      }
+      this.pos += 2;
+      block.appendChild(textNode('$$'));
+      return true;
+    }
+
+    // $ … $ on one line. The opener must be followed by non-space and the closer
+    // preceded by non-space and not followed by a digit, so "$5 and $10" stays text.
+    const lineEnd = subj.indexOf('\n', start);
+    const limit = lineEnd === -1 ? subj.length : lineEnd;
+    if (start + 1 < limit && !/\s/.test(subj[start + 1])) {
+      const close = this._mathCloser(start + 1);
+      if (close !== -1 && close < limit) {
+        block.appendChild(this._mathNode(subj.slice(start + 1, close), false));
+        this.pos = close + 1;
+        return true;
+      }
+    }
+    this.pos += 1;
+    block.appendChild(textNode('$'));
+    return true;
   }
 
-  parse(md) {
-    if (!md) return '';
-    let html = md;
-
-    // Normalize line endings
-    html = html.replace(/\r\n/g, '\n');
-
-    // === Phase 1: Extract protected blocks before HTML escaping ===
-
-    // Extract fenced code blocks (including mermaid)
-    const codeBlocks = [];
-    html = html.replace(/```(\w*)\n([\s\S]*?)```/g, (match, lang, code) => {
-      const placeholder = `\x00CODEBLOCK${codeBlocks.length}\x00`;
-      codeBlocks.push({ lang, code: code.trimEnd() });
-      return placeholder;
-    });
-
-    // Extract inline code spans
-    const inlineCode = [];
-    html = html.replace(/`([^`\n]+)`/g, (match, code) => {
-      const placeholder = `\x00INLINECODE${inlineCode.length}\x00`;
-      inlineCode.push(code);
-      return placeholder;
-    });
-
-    // Handle escaped dollar signs: \$ → placeholder, restored later as literal $
-    const ESCAPED_DOLLAR = '\x00ESCAPEDDOLLAR\x00';
-    html = html.replace(/\\\$/g, ESCAPED_DOLLAR);
-
-    // Extract display math: $$ ... $$ (may span lines)
-    const mathBlocks = [];
-    html = html.replace(/\$\$([\s\S]+?)\$\$/g, (match, math) => {
-      const placeholder = `\x00MATHBLOCK${mathBlocks.length}\x00`;
-      mathBlocks.push(math.trim());
-      return placeholder;
-    });
-
-    // Extract inline math: $...$ (single line, non-greedy, must have closing $ on same line)
-    const inlineMath = [];
-    html = html.replace(/\$([^$\n]+?)\$/g, (match, math) => {
-      const placeholder = `\x00INLINEMATH${inlineMath.length}\x00`;
-      inlineMath.push(math);
-      return placeholder;
-    });
-
-    // Extract raw HTML blocks (block-level HTML: starts with < at line beginning)
-    const htmlBlocks = [];
-    html = html.replace(/^(<(?:div|section|article|aside|header|footer|nav|main|details|summary|figure|figcaption|p|ul|ol|li|dl|dt|dd|table|thead|tbody|tfoot|tr|th|td|caption|colgroup|col|form|fieldset|legend|select|option|label|input|button|textarea|output|progress|meter|video|audio|source|picture|canvas|map|area|svg|math|del|ins|sub|sup|mark|abbr|time|cite|dfn|ruby|rt|rp|bdi|bdo|wbr|hr|br|img|a|em|strong|small|s|u|b|i|span|blockquote|pre|code)[\s>][\s\S]*?)$/gm, (match, block) => {
-      const placeholder = `\x00HTMLBLOCK${htmlBlocks.length}\x00`;
-      htmlBlocks.push(block);
-      return placeholder;
-    });
-
-    // Also extract inline HTML tags like <kbd>, <mark>, <sub>, <sup>, <br>, etc.
-    const inlineHtml = [];
-    html = html.replace(/<(\/?)(\w+)([^>]*)>/g, (match) => {
-      const placeholder = `\x00INLINEHTML${inlineHtml.length}\x00`;
-      inlineHtml.push(match);
-      return placeholder;
-    });
-
-    // === Phase 2: Escape remaining HTML entities (XSS prevention for plain text) ===
-    html = this._escapeHtml(html);
-
-    // === Phase 3: Parse block-level Markdown elements ===
-    html = this._parseBlockquotes(html);
-    html = this._parseTables(html);
-    html = this._parseHorizontalRules(html);
-    html = this._parseHeadings(html);
-    html = this._parseLists(html);
-    html = this._parseParagraphs(html);
-
-    // === Phase 4: Parse inline Markdown elements ===
-    html = this._parseImages(html);
-    html = this._parseLinks(html);
-    html = this._parseBoldItalic(html);
-    html = this._parseStrikethrough(html);
-    html = this._parseLineBreaks(html);
-
-    // === Phase 5: Restore protected blocks ===
-
-    // Restore inline HTML
-    for (let i = 0; i < inlineHtml.length; i++) {
-      html = html.replace(`\x00INLINEHTML${i}\x00`, inlineHtml[i]);
-    }
-
-    // Restore HTML blocks
-    for (let i = 0; i < htmlBlocks.length; i++) {
-      html = html.replace(`\x00HTMLBLOCK${i}\x00`, htmlBlocks[i]);
-    }
-
-    // Restore inline code
-    for (let i = 0; i < inlineCode.length; i++) {
-      html = html.replace(`\x00INLINECODE${i}\x00`, `<code>${this._escapeHtml(inlineCode[i])}</code>`);
-    }
-
-    // Restore code blocks — special handling for mermaid
-    for (let i = 0; i < codeBlocks.length; i++) {
-      const { lang, code } = codeBlocks[i];
-      let replacement;
-      if (lang === 'mermaid') {
-        // Mermaid blocks: use div with class for rendering
-        replacement = `<div class="mermaid">${code}</div>`;
-      } else {
-        const langAttr = lang ? ` class="language-${lang}"` : '';
-        replacement = `<pre><code${langAttr}>${this._escapeHtml(code)}</code></pre>`;
+  /**
+   * Position of the first "$" at or after `from` that can close inline math, or -1.
+   * The answer is kept for the subject: the parser only moves forward, so a later
+   * opener before that position reuses it and each character is scanned once.
+   * Without this a line full of unmatched "$" would take quadratic time.
+   */
+  _mathCloser(from) {
+    const subj = this.subject;
+    const cache = this._mathCloserCache;
+    if (cache.subject === subj && cache.from <= from && (cache.at === -1 || cache.at >= from)) {
+      return cache.at;
+    }
+    let at = subj.indexOf('$', from);
+    while (at !== -1 && (subj[at - 1] === '\\' || /\s/.test(subj[at - 1]) || /[0-9]/.test(subj[at + 1] || ''))) {
+      at = subj.indexOf('$', at + 1);
+    }
+    this._mathCloserCache = { subject: subj, from, at };
+    return at;
+  }
+
+  _mathNode(literal, display) {
+    const node = new Node('math');
+    node.literal = literal;
+    node.display = display;
+    return node;
+  }
+
+  _parseAutolink(block) {
+    let m;
+    let dest;
+    let href;
+    if ((m = this._match(reEmailAutolink))) {
+      dest = m.slice(1, -1);
+      href = 'mailto:' + dest;
+    } else if ((m = this._match(reAutolink))) {
+      dest = m.slice(1, -1);
+      href = dest;
+    } else {
+      return false;
+    }
+    const node = new Node('link');
+    node.destination = href;
+    node.title = '';
+    node.appendChild(textNode(dest));
+    block.appendChild(node);
+    return true;
+  }
+
+  _parseHtmlTag(block) {
+    const m = this._match(reHtmlTag);
+    if (m === null) return false;
+    const node = new Node('html_inline');
+    node.literal = m;
+    block.appendChild(node);
+    return true;
+  }
+
+  _parseEntity(block) {
+    const m = this._match(reEntityHere);
+    if (!m) return false;
+    const decoded = decodeEntity(m);
+    if (decoded !== null) {
+      block.appendChild(textNode(decoded));
+    } else {
+      // Not an HTML5 entity name: literal text, escaped like any other "&"
+      block.appendChild(textNode(m));
+    }
+    return true;
+  }
+
+  /**
+   * Try the syntax extensions triggered by the current character. A match's
+   * content is parsed as inline Markdown into the new node's children; the rule
+   * itself is skipped inside its own content.
+   */
+  _parseExtension(rules, block) {
+    for (const rule of rules) {
+      if (this.activeRules.has(rule)) continue;
+      const match = rule.parse(this.subject, this.pos);
+      if (!match || !(match.length > 0)) continue;
+
+      const { length, content, ...fields } = match;
+      const node = new Node(rule.name);
+      node.fields = fields;
+      if (content) {
+        this.activeRules.add(rule);
+        this._parseNested(content, node);
+        this.activeRules.delete(rule);
       }
-      html = html.replace(`\x00CODEBLOCK${i}\x00`, replacement);
+      block.appendChild(node);
+      this.pos += length;
+      return true;
     }
+    return false;
+  }
 
-    // Restore display math (output \[ \] for MathJax)
-    for (let i = 0; i < mathBlocks.length; i++) {
-      html = html.replace(`\x00MATHBLOCK${i}\x00`, `<div class="math-display">\\[${mathBlocks[i]}\\]</div>`);
+  /**
+   * Whether pos lies inside an extended autolink of the current subject. Those
+   * are only linked after parsing, so a trigger inside one (the "@" of
+   * foo@bar.com for an @mention rule) must not split its text first.
+   */
+  _inAutolink(pos) {
+    if (this._autolinkSubject !== this.subject) {
+      this._autolinkSubject = this.subject;
+      this._autolinkSpans = [];
+      for (let found = findExtendedAutolink(this.subject, 0); found; found = findExtendedAutolink(this.subject, found.end)) {
+        this._autolinkSpans.push(found);
+      }
+    }
+    // Spans are in order: binary search for the last one starting at or before pos
+    const spans = this._autolinkSpans;
+    let lo = 0;
+    let hi = spans.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (spans[mid].start <= pos) lo = mid + 1;
+      else hi = mid;
     }
+    return lo > 0 && pos < spans[lo - 1].end;
+  }
+
+  _parseNested(subject, node) {
+    const saved = [this.subject, this.pos, this.delimiters, this.brackets];
+    this.subject = subject;
+    this.pos = 0;
+    this.delimiters = null;
+    this.brackets = null;
+    while (this._parseInline(node)) { /* keep consuming */ }
+    this._processEmphasis(null);
+    [this.subject, this.pos, this.delimiters, this.brackets] = saved;
+  }
+
+  _parseString(block) {
+    const m = this._match(this.reMain);
+    if (!m) return false;
+    block.appendChild(textNode(m));
+    return true;
+  }
+
+  // ---- Emphasis / strikethrough delimiters ----
 
-    // Restore inline math (output \( \) for MathJax)
-    for (let i = 0; i < inlineMath.length; i++) {
-      html = html.replace(`\x00INLINEMATH${i}\x00`, `<span class="math-inline">\\(${inlineMath[i]}\\)</span>`);
+  _scanDelims(ch) {
+    const startPos = this.pos;
+    let count = 0;
+    while (this._peek() === ch) {
+      count++;
+      this.pos++;
     }
+    if (count === 0) return null;
 
-    // Restore escaped dollar signs as literal $
-    html = html.replace(new RegExp(ESCAPED_DOLLAR.replace(/\x00/g, '\\x00'), 'g'), '$');
+    const before = startPos === 0 ? '\n' : this.subject[startPos - 1];
+    const afterCode = this.subject.codePointAt(this.pos);
+    const after = afterCode === undefined ? '\n' : String.fromCodePoint(afterCode);
 
-    return html.trim();
+    const afterIsWhitespace = reUnicodeWhitespaceChar.test(after);
+    const afterIsPunctuation = rePunctuation.test(after);
+    const beforeIsWhitespace = reUnicodeWhitespaceChar.test(before);
+    const beforeIsPunctuation = rePunctuation.test(before);
+
+    const leftFlanking = !afterIsWhitespace &&
+      (!afterIsPunctuation || beforeIsWhitespace || beforeIsPunctuation);
+    const rightFlanking = !beforeIsWhitespace &&
+      (!beforeIsPunctuation || afterIsWhitespace || afterIsPunctuation);
+
+    let canOpen;
+    let canClose;
+    if (ch === '_') {
+      canOpen = leftFlanking && (!rightFlanking || beforeIsPunctuation);
+      canClose = rightFlanking && (!leftFlanking || afterIsPunctuation);
+    } else {
+      canOpen = leftFlanking;
+      canClose = rightFlanking;
+    }
+    this.pos = startPos;
+    return { count, canOpen, canClose };
   }
 
-  _escapeHtml(str) {
-    return str
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;');
+  _handleDelim(ch, block) {
+    const res = this._scanDelims(ch);
+    if (!res) return false;
+    const startPos = this.pos;
+    this.pos += res.count;
+    const node = textNode(this.subject.slice(startPos, this.pos));
+    block.appendChild(node);
+
+    // GFM strikethrough uses runs of exactly one or two tildes
+    const usable = ch !== '~' || res.count <= 2;
+    if ((res.canOpen || res.canClose) && usable) {
+      this.delimiters = {
+        ch,
+        count: res.count,
+        origCount: res.count,
+        node,
+        previous: this.delimiters,
+        next: null,
+        canOpen: res.canOpen,
+        canClose: res.canClose
+      };
+      if (this.delimiters.previous) this.delimiters.previous.next = this.delimiters;
+    }
+    return true;
   }
 
-  _unescapeForAttr(str) {
-    return str
-      .replace(/&amp;/g, '&')
-      .replace(/&lt;/g, '<')
-      .replace(/&gt;/g, '>')
-      .replace(/&quot;/g, '"');
+  _removeDelimiter(delim) {
+    if (delim.previous) delim.previous.next = delim.next;
+    if (delim.next) {
+      delim.next.previous = delim.previous;
+    } else {
+      this.delimiters = delim.previous;
+    }
   }
 
-  _parseBlockquotes(html) {
-    const lines = html.split('\n');
-    const result = [];
-    let inBlockquote = false;
-    let bqLines = [];
+  _processEmphasis(stackBottom) {
+    // Lower bounds for opener searches, keyed by closer kind (see CommonMark appendix)
+    const openersBottom = {};
+    const bottomKey = (closer) => closer.ch === '~'
+      ? `~${closer.origCount}`
+      : `${closer.ch}${closer.canOpen ? 1 : 0}${closer.origCount % 3}`;
 
-    const flushBlockquote = () => {
-      if (bqLines.length > 0) {
-        const content = bqLines.join('\n');
-        result.push(`<blockquote><p>${content}</p></blockquote>`);
-        bqLines = [];
+    // Find the first closer above stackBottom
+    let closer = this.delimiters;
+    while (closer && closer.previous !== stackBottom) closer = closer.previous;
+
+    while (closer) {
+      if (!closer.canClose) {
+        closer = closer.next;
+        continue;
+      }
+
+      const key = bottomKey(closer);
+      const bottom = key in openersBottom ? openersBottom[key] : stackBottom;
+      let opener = closer.previous;
+      let openerFound = false;
+      while (opener && opener !== stackBottom && opener !== bottom) {
+        if (opener.ch === closer.ch && opener.canOpen) {
+          if (closer.ch === '~') {
+            if (opener.origCount === closer.origCount) {
+              openerFound = true;
+              break;
+            }
+          } else {
+            const oddMatch = (closer.canOpen || opener.canClose) &&
+              closer.origCount % 3 !== 0 &&
+              (opener.origCount + closer.origCount) % 3 === 0;
+            if (!oddMatch) {
+              openerFound = true;
+              break;
+            }
+          }
+        }
+        opener = opener.previous;
+      }
+
+      // Too deep already: leave the delimiters as text (see MAX_NESTING)
+      if (openerFound && inlineNesting(opener.node.next, closer.node) >= MAX_NESTING) openerFound = false;
+
+      const oldCloser = closer;
+      if (!openerFound) {
+        closer = closer.next;
+        openersBottom[key] = oldCloser.previous;
+        // A closer that cannot open is useless once it has no opener
+        if (!oldCloser.canOpen) this._removeDelimiter(oldCloser);
+        continue;
       }
-      inBlockquote = false;
-    };
 
-    for (const line of lines) {
-      if (/^&gt;\s?(.*)$/.test(line)) {
-        inBlockquote = true;
-        const match = line.match(/^&gt;\s?(.*)$/);
-        bqLines.push(match[1]);
+      let used;
+      let type;
+      if (closer.ch === '~') {
+        used = closer.count;
+        type = 'strikethrough';
       } else {
-        if (inBlockquote) flushBlockquote();
-        result.push(line);
+        used = closer.count >= 2 && opener.count >= 2 ? 2 : 1;
+        type = used === 1 ? 'emph' : 'strong';
+      }
+
+      const openerNode = opener.node;
+      const closerNode = closer.node;
+      opener.count -= used;
+      closer.count -= used;
+      openerNode.literal = openerNode.literal.slice(0, openerNode.literal.length - used);
+      closerNode.literal = closerNode.literal.slice(0, closerNode.literal.length - used);
+
+      // Move everything between opener and closer into the new node
+      const wrapper = new Node(type);
+      wrapper.nesting = inlineNesting(openerNode.next, closerNode) + 1;
+      let tmp = openerNode.next;
+      while (tmp && tmp !== closerNode) {
+        const next = tmp.next;
+        wrapper.appendChild(tmp);
+        tmp = next;
+      }
+      openerNode.insertAfter(wrapper);
+
+      // Delimiters between opener and closer can no longer match
+      if (opener.next !== closer) {
+        opener.next = closer;
+        closer.previous = opener;
+      }
+
+      if (opener.count === 0) {
+        openerNode.unlink();
+        this._removeDelimiter(opener);
+      }
+      if (closer.count === 0) {
+        closerNode.unlink();
+        const next = closer.next;
+        this._removeDelimiter(closer);
+        closer = next;
       }
     }
-    if (inBlockquote) flushBlockquote();
 
-    return result.join('\n');
+    while (this.delimiters && this.delimiters !== stackBottom) {
+      this._removeDelimiter(this.delimiters);
+    }
   }
 
-  _parseHeadings(html) {
-    html = html.replace(/^######\s+(.+)$/gm, '<h6>$1</h6>');
-    html = html.replace(/^#####\s+(.+)$/gm, '<h5>$1</h5>');
-    html = html.replace(/^####\s+(.+)$/gm, '<h4>$1</h4>');
-    html = html.replace(/^###\s+(.+)$/gm, '<h3>$1</h3>');
-    html = html.replace(/^##\s+(.+)$/gm, '<h2>$1</h2>');
-    html = html.replace(/^#\s+(.+)$/gm, '<h1>$1</h1>');
-    return html;
+  // ---- Links and images ----
+
+  _addBracket(node, index, image) {
+    if (this.brackets) this.brackets.bracketAfter = true;
+    const depth = this.brackets ? this.brackets.depth + 1 : 1;
+    // Past MAX_NESTING the bracket stays plain text
+    if (depth > MAX_NESTING) return;
+    this.brackets = {
+      node,
+      depth,
+      previous: this.brackets,
+      previousDelimiter: this.delimiters,
+      index,
+      image,
+      active: true,
+      bracketAfter: false
+    };
   }
 
-  _parseHorizontalRules(html) {
-    return html.replace(/^(?:---|\*\*\*|___)\s*$/gm, '<hr>');
+  _parseOpenBracket(block) {
+    if (this.subject[this.pos + 1] === '^' && this._parseFootnoteRef(block)) return true;
+    if (this.subject[this.pos + 1] === '[' && this._parseWikiLink(block)) return true;
+    const startPos = this.pos;
+    this.pos += 1;
+    const node = textNode('[');
+    block.appendChild(node);
+    this._addBracket(node, startPos, false);
+    return true;
   }
 
-  _parseTables(html) {
-    const lines = html.split('\n');
-    const result = [];
-    let i = 0;
+  /**
+   * Footnote reference [^label]. Only labels with a definition are references;
+   * anything else stays literal text.
+   */
+  _parseFootnoteRef(block) {
+    const m = reFootnoteRef.exec(this.subject.slice(this.pos));
+    if (!m) return false;
+    const def = this.footnotes[normalizeReference(`[${m[1]}]`)];
+    if (!def) return false;
 
-    while (i < lines.length) {
-      if (
-        i + 1 < lines.length &&
-        /^\|(.+)\|$/.test(lines[i].trim()) &&
-        /^\|[\s\-:|]+\|$/.test(lines[i + 1].trim())
-      ) {
-        const headerCells = this._parseTableRow(lines[i]);
-        const alignments = this._parseTableAlignments(lines[i + 1]);
-        let tableHtml = '<table><thead><tr>';
-        headerCells.forEach((cell, idx) => {
-          const align = alignments[idx] ? ` style="text-align:${alignments[idx]}"` : '';
-          tableHtml += `<th${align}>${cell.trim()}</th>`;
-        });
-        tableHtml += '</tr></thead><tbody>';
-
-        i += 2;
-        while (i < lines.length && /^\|(.+)\|$/.test(lines[i].trim())) {
-          const cells = this._parseTableRow(lines[i]);
-          tableHtml += '<tr>';
-          cells.forEach((cell, idx) => {
-            const align = alignments[idx] ? ` style="text-align:${alignments[idx]}"` : '';
-            tableHtml += `<td${align}>${cell.trim()}</td>`;
-          });
-          tableHtml += '</tr>';
-          i++;
+    if (def.index === undefined) {
+      this.footnoteOrder.push(def);
+      def.index = this.footnoteOrder.length;
+      def.refCount = 0;
+    }
+    def.refCount += 1;
+    const node = new Node('footnote_ref');
+    node.index = def.index;
+    node.refIndex = def.refCount;
+    block.appendChild(node);
+    this.pos += m[0].length;
+    return true;
+  }
+
+  /**
+   * Wiki link [[target]], [[target|alias]], [[target#heading]] or [[#heading]].
+   * [[label]] stays a bracketed reference link when "label" is defined, and
+   * runs of three or more brackets are left to the link parser.
+   */
+  _parseWikiLink(block) {
+    const m = reWikiLink.exec(this.subject.slice(this.pos));
+    if (!m || this.refmap[normalizeReference(`[${m[1]}]`)]) return false;
+    if (this.subject[this.pos - 1] === '[' || this.subject[this.pos + m[0].length] === ']') return false;
+    const raw = m[1].trim();
+    const hash = raw.indexOf('#');
+    const node = new Node('wikilink');
+    node.target = (hash === -1 ? raw : raw.slice(0, hash)).trim();
+    node.heading = hash === -1 ? '' : raw.slice(hash + 1).trim();
+    if (!node.target && !node.heading) return false;
+    node.appendChild(textNode(m[2] ? m[2].trim() : raw));
+    block.appendChild(node);
+    this.pos += m[0].length;
+    return true;
+  }
+
+  _parseBang(block) {
+    const startPos = this.pos;
+    this.pos += 1;
+    if (this._peek() === '[') {
+      this.pos += 1;
+      const node = textNode('![');
+      block.appendChild(node);
+      this._addBracket(node, startPos + 1, true);
+    } else {
+      block.appendChild(textNode('!'));
+    }
+    return true;
+  }
+
+  _parseCloseBracket(block) {
+    this.pos += 1;
+    const startPos = this.pos;
+    let opener = this.brackets;
+
+    if (!opener) {
+      block.appendChild(textNode(']'));
+      return true;
+    }
+    if (!opener.active) {
+      block.appendChild(textNode(']'));
+      this.brackets = opener.previous;
+      return true;
+    }
+
+    const isImage = opener.image;
+    let dest = null;
+    let title = null;
+    let matched = false;
+    const savePos = this.pos;
+
+    // Inline link: [text](dest "title")
+    if (this._peek() === '(') {
+      this.pos++;
+      if (this._spnl() &&
+        (dest = this._parseLinkDestination()) !== null &&
+        this._spnl() &&
+        // A title must be separated from the destination by whitespace
+        ((reWhitespaceChar.test(this.subject[this.pos - 1]) && (title = this._parseLinkTitle())) || true) &&
+        this._spnl() &&
+        this._peek() === ')') {
+        this.pos += 1;
+        matched = true;
+      } else {
+        this.pos = savePos;
+      }
+    }
+
+    // Reference link: [text][label], [label][] or [label]
+    if (!matched) {
+      const beforeLabel = this.pos;
+      const n = this._parseLinkLabel();
+      let label = null;
+      if (n > 2) {
+        label = this.subject.slice(beforeLabel, beforeLabel + n);
+      } else if (!opener.bracketAfter) {
+        label = this.subject.slice(opener.index, startPos);
+      }
+      if (n === 0) this.pos = savePos;
+
+      if (label) {
+        const ref = this.refmap[normalizeReference(label)];
+        if (ref) {
+          dest = ref.destination;
+          title = ref.title;
+          matched = true;
         }
-        tableHtml += '</tbody></table>';
-        result.push(tableHtml);
+      }
+    }
+
+    if (!matched) {
+      this.brackets = opener.previous;
+      this.pos = startPos;
+      block.appendChild(textNode(']'));
+      return true;
+    }
+
+    const node = new Node(isImage ? 'image' : 'link');
+    node.destination = dest;
+    node.title = title || '';
+    node.nesting = inlineNesting(opener.node.next, null) + 1;
+    let tmp = opener.node.next;
+    while (tmp) {
+      const next = tmp.next;
+      node.appendChild(tmp);
+      tmp = next;
+    }
+    block.appendChild(node);
+    this._processEmphasis(opener.previousDelimiter);
+    this.brackets = opener.previous;
+    opener.node.unlink();
+
+    // Links may not contain other links: deactivate earlier link openers
+    if (!isImage) {
+      for (let b = this.brackets; b; b = b.previous) {
+        if (!b.image) b.active = false;
+      }
+    }
+    return true;
+  }
+
+  _parseLinkLabel() {
+    const m = this._match(reLinkLabel);
+    return m === null || m.length > 1001 ? 0 : m.length;
+  }
+
+  _parseLinkDestination() {
+    const braced = this._match(reLinkDestinationBraces);
+    if (braced !== null) return unescapeString(braced.slice(1, -1));
+    if (this._peek() === '<') return null;
+
+    // Bare destination: no spaces or control characters, balanced parentheses
+    const savePos = this.pos;
+    let openParens = 0;
+    let ch;
+    while ((ch = this._peek()) !== null) {
+      if (ch === '\\' && reEscapable.test(this.subject[this.pos + 1] || '')) {
+        this.pos += 2;
+      } else if (ch === '(') {
+        this.pos += 1;
+        openParens += 1;
+      } else if (ch === ')') {
+        if (openParens < 1) break;
+        this.pos += 1;
+        openParens -= 1;
+      } else if (reWhitespaceChar.test(ch) || ch.charCodeAt(0) < 0x20 || ch === '\x7f') {
+        break;
       } else {
-        result.push(lines[i]);
-        i++;
+        this.pos += 1;
+      }
+    }
+    if (this.pos === savePos && ch !== ')') return null;
+    if (openParens !== 0) return null;
+    return unescapeString(this.subject.slice(savePos, this.pos));
+  }
+
+  _parseLinkTitle() {
+    const title = this._match(reLinkTitle);
+    return title === null ? null : unescapeString(title.slice(1, -1));
+  }
+
+  /**
+   * Try to parse a link reference definition at the start of `str`, adding it
+   * to `refmap`. Returns the number of characters consumed (0 if none).
+   */
+  parseReference(str, refmap) {
+    this.subject = str;
+    this.pos = 0;
+
+    const labelLength = this._parseLinkLabel();
+    if (labelLength === 0) return 0;
+    const rawLabel = this.subject.slice(0, labelLength);
+
+    if (this._peek() !== ':') {
+      this.pos = 0;
+      return 0;
+    }
+    this.pos++;
+
+    this._spnl();
+    const dest = this._parseLinkDestination();
+    if (dest === null) {
+      this.pos = 0;
+      return 0;
+    }
+
+    const beforeTitle = this.pos;
+    this._spnl();
+    let title = null;
+    if (this.pos !== beforeTitle) title = this._parseLinkTitle();
+    if (title === null) this.pos = beforeTitle;
+
+    // The definition must end at the end of a line
+    let atLineEnd = true;
+    if (this._match(reSpaceAtEndOfLine) === null) {
+      if (title === null) {
+        atLineEnd = false;
+      } else {
+        // Drop the title and see whether the destination alone ends the line
+        title = null;
+        this.pos = beforeTitle;
+        atLineEnd = this._match(reSpaceAtEndOfLine) !== null;
       }
     }
+    if (!atLineEnd) {
+      this.pos = 0;
+      return 0;
+    }
+
+    const label = normalizeReference(rawLabel);
+    if (label === '') {
+      this.pos = 0;
+      return 0;
+    }
+    // The first definition of a label wins
+    if (!refmap[label]) {
+      refmap[label] = { destination: dest, title: title === null ? '' : title };
+    }
+    return this.pos;
+  }
+}
+
+// ---- Syntax tree ----
+
+/**
+ * Public syntax tree returned by MarkdownParser.parseToAst(). Nodes are plain
+ * objects, so a tree can be walked, transformed, serialized or built by hand.
+ *
+ * Block types: document, front_matter, paragraph, heading, toc, blockquote, alert,
+ * list, item, code_block, math_block, html_block, thematic_break, table, table_row,
+ * table_cell, footnotes, footnote_definition.
+ * Inline types: text, softbreak, linebreak, code, emph, strong, strikethrough,
+ * html_inline, math, link, image, wikilink, footnote_ref.
+ *
+ * Type-specific fields:
+ * - document: metadata (front matter data, {} when there is none)
+ * - front_matter: data
+ * - heading: level, id (the slug; rendered ids add ID_PREFIX)
+ * - toc: headings ([{ level, id, text }] of the top-level headings)
+ * - alert: alertType (note, tip, important, warning, caution)
+ * - list: ordered, start (null for bullet lists), tight
+ * - item: checked (only on task list items)
+ * - code_block: info, lang, title, highlightLines, showLineNumbers, lineNumberStart, literal
+ * - math_block, html_block, text, code, html_inline: literal
+ * - math: literal, display
+ * - table_row: isHeader; table_cell: align ('left', 'center', 'right' or '')
+ * - footnote_definition: label, index, refCount; footnote_ref: index, refIndex
+ * - link, image: destination, title
+ * - wikilink: target, heading
+ *
+ * @typedef {Object} MdNode
+ * @property {string} type
+ * @property {{ start: { line: number }, end: { line: number } }} [position]
+ *   1-based source lines; block nodes only
+ * @property {MdNode[]} [children] - on every type that can contain other nodes
+ */
+
+// Internal node fields exposed in the public tree, per type
+const AST_FIELDS = {
+  front_matter: ['data'],
+  heading: ['level', 'id'],
+  toc: ['headings'],
+  alert: ['alertType'],
+  item: ['checked'],
+  code_block: ['info', 'lang', 'title', 'highlightLines', 'showLineNumbers', 'lineNumberStart', 'literal'],
+  math_block: ['literal'],
+  html_block: ['literal'],
+  table_row: ['isHeader'],
+  table_cell: ['align'],
+  footnote_definition: ['label', 'index', 'refCount'],
+  text: ['literal'],
+  code: ['literal'],
+  html_inline: ['literal'],
+  math: ['literal', 'display'],
+  link: ['destination', 'title'],
+  image: ['destination', 'title'],
+  wikilink: ['target', 'heading'],
+  footnote_ref: ['index', 'refIndex']
+};
+
+// Types whose content lives in fields; they get no children array
+const AST_LEAVES = new Set([
+  'front_matter', 'toc', 'code_block', 'math_block', 'html_block', 'thematic_break',
+  'text', 'softbreak', 'linebreak', 'code', 'html_inline', 'math', 'footnote_ref'
+]);
+
+function toAst(node) {
+  const out = { type: node.type };
+  // Inline nodes are created without a source line
+  if (node.startLine > 0) {
+    out.position = { start: { line: node.startLine }, end: { line: node.endLine } };
+  }
+  if (node.type === 'list') {
+    const { type, start, tight } = node.listData;
+    out.ordered = type === 'ordered';
+    out.start = out.ordered ? start : null;
+    out.tight = tight;
+  }
+  for (const field of AST_FIELDS[node.type] || []) {
+    if (node[field] !== undefined) out[field] = node[field];
+  }
+  // Nodes from syntax extensions carry the fields their rule returned
+  if (node.fields) Object.assign(out, node.fields);
+  if (!AST_LEAVES.has(node.type) && !node.leaf) out.children = node.children.map(toAst);
+  return out;
+}
+
+/**
+ * Depth-first walk of a syntax tree. visitor(node, parent) is called before the
+ * node's children are visited; returning false skips them. The visitor may edit
+ * the node, including its children array, before they are walked.
+ * @param {MdNode} node
+ * @param {(node: MdNode, parent: MdNode|null) => (boolean|void)} visitor
+ */
+export function walkAst(node, visitor, parent = null) {
+  if (visitor(node, parent) === false || !node.children) return;
+  for (const child of node.children) walkAst(child, visitor, node);
+}
+
+// Stable: rules of equal priority keep their order
+function sortByPriority(rules) {
+  return rules.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+}
+
+/**
+ * Plain-text content of a subtree (heading slugs, image alt text). Works on both
+ * internal nodes and public syntax tree nodes.
+ */
+function plainText(node) {
+  let str = '';
+  for (const child of node.children || []) {
+    if (child.type === 'text' || child.type === 'code' || child.type === 'math') {
+      str += child.literal;
+    } else if (child.type === 'softbreak' || child.type === 'linebreak') {
+      str += ' ';
+    } else {
+      str += plainText(child);
+    }
+  }
+  return str;
+}
+
+// ---- Public API ----
+
+export class MarkdownParser {
+  /**
+   * @param {Object} [options]
+   * @param {{ render: (ast: MdNode) => string }} [options.renderer] - renders the
+   *   syntax tree in parse(); defaults to an HtmlRenderer built from these options
+   */
+  constructor(options = {}) {
+    this.renderer = options.renderer || new HtmlRenderer(options);
+    // Front matter data of the last parsed document ({} when it has none)
+    this.metadata = {};
+    // Syntax extensions, highest priority first
+    this.inlineRules = [];
+    this.blockRules = [];
+  }
 
-    return result.join('\n');
+  /**
+   * Add inline syntax. Rules are tried before the built-in syntax, highest
+   * priority first (equal priorities keep the order they were added in).
+   * @param {Object} rule
+   * @param {string} rule.name - node type of a match
+   * @param {string} rule.triggers - characters the syntax can start with
+   * @param {(text: string, pos: number) => ({ length: number, content?: string }|null)} rule.parse -
+   *   match at text[pos]. length is the number of characters consumed, content
+   *   (optional) is parsed as inline Markdown into the node's children, and any
+   *   other properties become fields of the node.
+   * @param {number} [rule.priority=0]
+   */
+  addInlineRule(rule) {
+    this.inlineRules = sortByPriority([...this.inlineRules, rule]);
+    return rule;
   }
 
-  _parseTableRow(line) {
-    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|');
+  /**
+   * Add block syntax, tried before the built-in blocks at the start of a line.
+   * @param {Object} rule
+   * @param {string} rule.name - node type of the block
+   * @param {(line: string) => (Object|null)} rule.start - line from its first
+   *   non-space character → fields of a new block, or null when it does not start one
+   * @param {(line: string, fields: Object) => (boolean|'close')} [rule.continue] -
+   *   for each following line: true keeps the line in the block, false ends the
+   *   block before it, 'close' ends the block with this line (e.g. a closing
+   *   fence). Defaults to true, so the block runs to the end of its container.
+   * @param {'blocks'|'text'} [rule.content='blocks'] - Markdown blocks as children,
+   *   or raw text lines kept as the node's literal
+   * @param {number} [rule.priority=0]
+   */
+  addBlockRule(rule) {
+    this.blockRules = sortByPriority([...this.blockRules, rule]);
+    return rule;
   }
 
-  _parseTableAlignments(line) {
-    return this._parseTableRow(line).map(cell => {
-      const c = cell.trim();
-      if (/^:-+:$/.test(c)) return 'center';
-      if (/^-+:$/.test(c)) return 'right';
-      if (/^:-+$/.test(c)) return 'left';
-      return '';
-    });
+  /**
+   * Remove a rule added with addInlineRule or addBlockRule.
+   */
+  removeRule(rule) {
+    this.inlineRules = this.inlineRules.filter(r => r !== rule);
+    this.blockRules = this.blockRules.filter(r => r !== rule);
   }
 
-  _parseLists(html) {
-    const lines = html.split('\n');
-    const result = [];
-    let listLines = [];
+  /**
+   * Markdown → rendered output (HTML with the default renderer).
+   * @param {string} md
+   * @returns {string}
+   */
+  parse(md) {
+    return this.renderer.render(this.parseToAst(md));
+  }
 
-    const flushList = () => {
-      if (listLines.length === 0) return;
+  /**
+   * Markdown → public syntax tree (see MdNode). Also updates this.metadata.
+   * @param {string} md
+   * @returns {MdNode}
+   */
+  parseToAst(md) {
+    this.metadata = {};
+    const ast = toAst(this._parseDocument(md || ''));
+    ast.metadata = this.metadata;
+    return ast;
+  }
 
-      let listHtml = '';
-      let currentStack = [];
+  /**
+   * Run both parsing phases and return the internal document tree.
+   */
+  _parseDocument(md) {
+    // Front matter lines are blanked rather than cut, so source lines stay exact
+    const frontMatter = extractFrontMatter(md);
+    if (frontMatter) md = '\n'.repeat(frontMatter.endLine) + frontMatter.body;
 
-      for (const item of listLines) {
-        const { indent, type, content, checked } = item;
+    const inlineParser = new InlineParser(this.inlineRules);
+    const blockParser = new BlockParser(inlineParser, this.blockRules);
+    const doc = blockParser.parse(md);
 
-        while (currentStack.length > 0 && currentStack[currentStack.length - 1].indent >= indent
-          && currentStack[currentStack.length - 1].indent !== indent) {
-          const popped = currentStack.pop();
-          listHtml += popped.type === 'ol' ? '</ol>' : '</ul>';
-        }
+    if (frontMatter) {
+      this.metadata = frontMatter.data;
+      const node = new Node('front_matter', 1);
+      node.endLine = frontMatter.endLine;
+      node.data = frontMatter.data;
+      doc.prependChild(node);
+    }
 
-        if (currentStack.length === 0 || currentStack[currentStack.length - 1].indent < indent) {
-          currentStack.push({ indent, type });
-          listHtml += type === 'ol' ? '<ol>' : '<ul>';
-        } else if (currentStack[currentStack.length - 1].type !== type) {
-          const popped = currentStack.pop();
-          listHtml += popped.type === 'ol' ? '</ol>' : '</ul>';
-          currentStack.push({ indent, type });
-          listHtml += type === 'ol' ? '<ol>' : '<ul>';
-        }
+    inlineParser.refmap = blockParser.refmap;
+    inlineParser.footnotes = blockParser.footnotes;
+    this._parseInlines(doc, inlineParser);
+    this._collectFootnotes(doc, inlineParser.footnoteOrder);
+    this._assignHeadingIds(doc);
+    return doc;
+  }
 
-        if (checked !== undefined) {
-          const checkedAttr = checked ? ' checked disabled' : ' disabled';
-          listHtml += `<li><input type="checkbox"${checkedAttr}> ${content}</li>`;
+  /**
+   * Give every heading a unique slug id (duplicates get -1, -2, … as on GitHub)
+   * and hand the top-level headings to the table-of-contents blocks.
+   */
+  _assignHeadingIds(doc) {
+    const occurrences = new Map();
+    const headings = [];
+    const tocs = [];
+    const walk = (node) => {
+      for (let child = node.firstChild; child; child = child.next) {
+        if (child.type === 'heading') {
+          const text = plainText(child).trim();
+          const base = slugify(text);
+          let slug = base;
+          while (occurrences.has(slug)) {
+            const count = occurrences.get(base) + 1;
+            occurrences.set(base, count);
+            slug = `${base}-${count}`;
+          }
+          occurrences.set(slug, 0);
+          child.id = slug;
+          if (node === doc) headings.push({ level: child.level, id: slug, text });
+        } else if (child.type === 'toc') {
+          tocs.push(child);
         } else {
-          listHtml += `<li>${content}</li>`;
+          walk(child);
         }
       }
+    };
+    walk(doc);
+    tocs.forEach(toc => { toc.headings = headings; });
+  }
 
-      while (currentStack.length > 0) {
-        const popped = currentStack.pop();
-        listHtml += popped.type === 'ol' ? '</ol>' : '</ul>';
+  /**
+   * Move footnote definitions out of the flow. Referenced ones are gathered, in
+   * order of first reference, into a footnotes block at the end of the document.
+   */
+  _collectFootnotes(doc, order) {
+    const defs = [];
+    const walk = (node) => {
+      for (let child = node.firstChild; child; child = child.next) {
+        if (child.type === 'footnote_definition') defs.push(child);
+        else walk(child);
       }
-
-      result.push(listHtml);
-      listLines = [];
     };
+    walk(doc);
+    defs.forEach(def => def.unlink());
+    if (order.length === 0) return;
 
-    for (const line of lines) {
-      const checkMatch = line.match(/^(\s*)-\s+\[(x| )\]\s+(.*)$/);
-      if (checkMatch) {
-        listLines.push({
-          indent: checkMatch[1].length,
-          type: 'ul',
-          content: checkMatch[3],
-          checked: checkMatch[2] === 'x'
-        });
-        continue;
+    const section = new Node('footnotes', order[0].startLine);
+    order.forEach(def => section.appendChild(def));
+    doc.appendChild(section);
+  }
+
+  _parseInlines(node, inlineParser) {
+    if (node.type === 'item') this._detectTask(node);
+    if (node.type === 'blockquote') this._detectAlert(node);
+    if (this._isTocMarker(node, inlineParser.refmap)) {
+      node.type = 'toc';
+      node.stringContent = '';
+      node.literal = null;
+      return;
+    }
+    if (node.type === 'paragraph' || node.type === 'heading' || node.type === 'table_cell') {
+      inlineParser.parse(node);
+      return;
+    }
+    for (let child = node.firstChild; child; child = child.next) {
+      this._parseInlines(child, inlineParser);
+    }
+  }
+
+  // A paragraph of just [TOC] (unless "toc" is a link reference) or an <!-- toc --> comment
+  _isTocMarker(node, refmap) {
+    if (node.type === 'paragraph') {
+      return reTocParagraph.test(node.stringContent.trim()) && !refmap.TOC;
+    }
+    return node.type === 'html_block' && reTocComment.test(node.literal.trim());
+  }
+
+  /**
+   * GFM task list item: the item's first paragraph starts with [ ], [x] or [X].
+   */
+  _detectTask(item) {
+    const para = item.firstChild;
+    if (!para || para.type !== 'paragraph') return;
+    const match = para.stringContent.match(reTaskMarker);
+    if (!match) return;
+    item.checked = match[1] !== ' ';
+    para.stringContent = para.stringContent.slice(match[0].length);
+  }
+
+  /**
+   * GitHub alert: the blockquote's first line is exactly [!NOTE], [!TIP], … .
+   * The marker line is removed; whatever follows stays as the alert's content.
+   */
+  _detectAlert(quote) {
+    const para = quote.firstChild;
+    if (!para || para.type !== 'paragraph') return;
+    const match = para.stringContent.match(reAlertMarker);
+    if (!match) return;
+    const rest = para.stringContent.slice(match[0].length);
+    // A marker with nothing after it stays an ordinary quote, as on GitHub
+    if (isBlank(rest) && !para.next) return;
+
+    quote.type = 'alert';
+    quote.alertType = match[1].toLowerCase();
+    if (isBlank(rest)) {
+      para.unlink();
+    } else {
+      para.stringContent = rest;
+      para.startLine++;
+    }
+  }
+}
+
+// ---- HTML rendering ----
+
+/**
+ * Renders a syntax tree (MdNode) to HTML.
+ *
+ * Output for any node type can be replaced with rules: (node, renderer, context)
+ * => string, given as options.rules ({ type: rule }) or added with addRule(). A
+ * rule that returns null or undefined passes the node on to the next rule and
+ * finally to the built-in output, so it can handle just the nodes it cares about
+ * (e.g. code blocks in one language). Rules build on the public helpers:
+ * renderNode, renderChildren, lineAttr, escapeHtml.
+ */
+export class HtmlRenderer {
+  constructor(options = {}) {
+    this.resolveImagePath = options.resolveImagePath || (src => src);
+    this.alertTitle = options.alertTitle || (type => type[0].toUpperCase() + type.slice(1));
+    this.metadataLabel = options.metadataLabel || (() => 'Metadata');
+    // Wiki link target ("folder/page") → workspace path, or null if there is no such page
+    this.resolveWikiLink = options.resolveWikiLink || (() => null);
+    // Node type → rules, highest priority first
+    this.rules = {};
+    for (const [type, render] of Object.entries(options.rules || {})) this.addRule(type, render);
+  }
+
+  /**
+   * Add a rendering rule for a node type. Rules with a higher priority are
+   * asked first; equal priorities keep the order they were added in.
+   */
+  addRule(type, render, priority = 0) {
+    const entry = { render, priority };
+    this.rules[type] = sortByPriority([...(this.rules[type] || []), entry]);
+    return entry;
+  }
+
+  /**
+   * Remove a rule added with addRule (pass the entry it returned).
+   */
+  removeRule(type, entry) {
+    const rules = (this.rules[type] || []).filter(r => r !== entry);
+    if (rules.length > 0) this.rules[type] = rules;
+    else delete this.rules[type];
+  }
+
+  /**
+   * @param {MdNode} ast
+   * @returns {string}
+   */
+  render(ast) {
+    return this.renderNode(ast).trim();
+  }
+
+  /**
+   * HTML for one node. context.tight is set for the blocks of a tight list item;
+   * context.task is the task item whose checkbox starts this paragraph.
+   */
+  renderNode(node, context = {}) {
+    for (const rule of this.rules[node.type] || []) {
+      const html = rule.render(node, this, context);
+      if (html !== null && html !== undefined) return html;
+    }
+    return this._renderBlock(node, context);
+  }
+
+  renderChildren(node) {
+    let html = '';
+    for (const child of node.children) {
+      html += this.renderNode(child);
+    }
+    return html;
+  }
+
+  /**
+   * Source line anchor for scroll sync (1-based line where the block starts).
+   * Raw HTML blocks are emitted verbatim and carry no anchor; neither do nodes
+   * built without a position.
+   */
+  lineAttr(node) {
+    return node.position ? ` data-source-line="${node.position.start.line}"` : '';
+  }
+
+  escapeHtml(str) {
+    return str
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  _renderBlock(node, { tight = false, task = null }) {
+    switch (node.type) {
+      case 'document':
+        return this.renderChildren(node);
+
+      case 'paragraph': {
+        const checkbox = task ? this._taskCheckbox(task, node) : '';
+        const content = checkbox + this.renderChildren(node);
+        return tight ? content : `<p${this.lineAttr(node)}>${content}</p>\n`;
       }
 
-      const ulMatch = line.match(/^(\s*)[-*+]\s+(.*)$/);
-      if (ulMatch) {
-        listLines.push({
-          indent: ulMatch[1].length,
-          type: 'ul',
-          content: ulMatch[2]
-        });
-        continue;
+      case 'heading': {
+        if (!node.id) {
+          return `<h${node.level}${this.lineAttr(node)}>${this.renderChildren(node)}</h${node.level}>\n`;
+        }
+        const id = ID_PREFIX + node.id;
+        const anchor = `<a class="heading-anchor" href="#${id}" aria-hidden="true">#</a>`;
+        return `<h${node.level} id="${id}"${this.lineAttr(node)}>${anchor}${this.renderChildren(node)}</h${node.level}>\n`;
+      }
+
+      case 'toc':
+        return this._renderToc(node);
+
+      case 'front_matter':
+        return this._renderFrontMatter(node);
+
+      case 'blockquote':
+        return `<blockquote${this.lineAttr(node)}>\n${this.renderChildren(node)}</blockquote>\n`;
+
+      case 'alert': {
+        const type = node.alertType;
+        const icon = `<svg class="markdown-alert-icon" viewBox="0 0 16 16" width="16" height="16" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">${ALERT_ICONS[type]}</svg>`;
+        const title = `<p class="markdown-alert-title">${icon}${this.escapeHtml(this.alertTitle(type))}</p>\n`;
+        return `<div class="markdown-alert markdown-alert-${type}"${this.lineAttr(node)}>\n${title}${this.renderChildren(node)}</div>\n`;
       }
 
-      const olMatch = line.match(/^(\s*)\d+\.\s+(.*)$/);
-      if (olMatch) {
-        listLines.push({
-          indent: olMatch[1].length,
-          type: 'ol',
-          content: olMatch[2]
+      case 'list': {
+        const tag = node.ordered ? 'ol' : 'ul';
+        const startAttr = node.ordered && node.start !== 1 ? ` start="${node.start}"` : '';
+        const items = node.children.map(item => this.renderNode(item, { tight: node.tight })).join('');
+        return `<${tag}${startAttr}${this.lineAttr(node)}>\n${items}</${tag}>\n`;
+      }
+
+      case 'item': {
+        const isTask = node.checked !== undefined;
+        const cls = isTask ? ' class="task-list-item"' : '';
+        let inner = '';
+        node.children.forEach((child, idx) => {
+          // Tight paragraphs are inline; other blocks start on their own line
+          if (!(tight && child.type === 'paragraph') && !inner.endsWith('\n')) inner += '\n';
+          inner += this.renderNode(child, { tight, task: isTask && idx === 0 ? node : null });
         });
-        continue;
+        return `<li${cls}${this.lineAttr(node)}>${inner}</li>\n`;
       }
 
-      flushList();
-      result.push(line);
+      case 'code_block':
+        return this._renderCodeBlock(node);
+
+      case 'math_block':
+        return `<div class="math-display"${this.lineAttr(node)}>\\[${this.escapeHtml(node.literal)}\\]</div>\n`;
+
+      case 'html_block':
+        return node.literal + '\n';
+
+      case 'thematic_break':
+        return `<hr${this.lineAttr(node)}>\n`;
+
+      case 'table':
+        return this._renderTable(node);
+
+      case 'footnotes':
+        return `<section class="footnotes">\n<ol>\n${this.renderChildren(node)}</ol>\n</section>\n`;
+
+      case 'footnote_definition':
+        return this._renderFootnote(node);
+
+      default:
+        return this._renderInline(node);
     }
+  }
 
-    flushList();
-    return result.join('\n');
+  // Checkboxes are live: data-task-line is the source line holding the [ ] marker
+  _taskCheckbox(item, para) {
+    const checkedAttr = item.checked ? ' checked' : '';
+    const line = para.position ? ` data-task-line="${para.position.start.line}"` : '';
+    return `<input type="checkbox" class="task-list-item-checkbox"${line}${checkedAttr}> `;
   }
 
-  _parseImages(html) {
-    return html.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, (match, alt, src) => {
-      const resolvedSrc = this.resolveImagePath(this._unescapeForAttr(src));
-      const safeAlt = alt;
-      return `<img src="${resolvedSrc}" alt="${safeAlt}" loading="lazy">`;
-    });
+  _renderCodeBlock(node) {
+    const lang = node.lang;
+    if (lang === 'mermaid') {
+      // Mermaid blocks: use div with class for rendering
+      return `<div class="mermaid"${this.lineAttr(node)}>${this.escapeHtml(node.literal.trimEnd())}</div>\n`;
+    }
+    const langClass = lang ? `language-${this.escapeHtml(lang)}` : '';
+    const highlighted = lang ? highlightCode(node.literal, lang) : null;
+    let code = highlighted !== null ? highlighted : this.escapeHtml(node.literal);
+
+    const highlightLines = node.highlightLines || [];
+    const decorated = node.title || node.showLineNumbers || highlightLines.length > 0;
+    if (!decorated) {
+      const langAttr = langClass ? ` class="${langClass}"` : '';
+      return `<pre${this.lineAttr(node)}><code${langAttr}>${code}</code></pre>\n`;
+    }
+
+    // One span per line, so lines can be numbered and highlighted.
+    // Highlighter tokens never cross a newline, so splitting the HTML is safe.
+    const highlightSet = new Set(highlightLines);
+    const lines = code.replace(/\n$/, '').split('\n');
+    code = lines.map((line, idx) => {
+      const cls = highlightSet.has(idx + 1) ? 'code-line code-line-highlight' : 'code-line';
+      return `<span class="${cls}">${line}</span>`;
+    }).join('\n') + '\n';
+
+    const codeClass = ['code-lines', langClass].filter(Boolean).join(' ');
+    const lineNumberStart = node.lineNumberStart ?? 1;
+    const counterStyle = node.showLineNumbers && lineNumberStart !== 1
+      ? ` style="counter-reset: code-line ${lineNumberStart - 1}"`
+      : '';
+    const preClass = node.showLineNumbers ? ' class="show-line-numbers"' : '';
+    const title = node.title ? `<div class="code-title">${this.escapeHtml(node.title)}</div>` : '';
+    return `<div class="code-block"${this.lineAttr(node)}>${title}` +
+      `<pre${preClass}><code class="${codeClass}"${counterStyle}>${code}</code></pre></div>\n`;
   }
 
-  _parseLinks(html) {
-    return html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, text, href) => {
-      const safeHref = this._unescapeForAttr(href);
-      return `<a href="${safeHref}" target="_blank" rel="noopener noreferrer">${text}</a>`;
-    });
+  /**
+   * Front matter as a collapsed <details> card: the title (if any) in the summary,
+   * every key as a <dt>/<dd> pair. Lists of plain values render as tags.
+   */
+  _renderFrontMatter(node) {
+    const { title } = node.data;
+    const heading = title !== undefined && title !== null && typeof title !== 'object'
+      ? ` <span class="front-matter-title">${this.escapeHtml(String(title))}</span>` : '';
+    const summary = `<summary><span class="front-matter-label">${this.escapeHtml(this.metadataLabel())}</span>${heading}</summary>`;
+    return `<details class="front-matter"${this.lineAttr(node)}>\n${summary}\n${this._renderMetadataValue(node.data)}</details>\n`;
   }
 
-  _parseBoldItalic(html) {
-    html = html.replace(/\*\*\*(.+?)\*\*\*/g, '<strong><em>$1</em></strong>');
-    html = html.replace(/___(.+?)___/g, '<strong><em>$1</em></strong>');
-    html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-    html = html.replace(/__(.+?)__/g, '<strong>$1</strong>');
-    html = html.replace(/\*(.+?)\*/g, '<em>$1</em>');
-    html = html.replace(/_(.+?)_/g, '<em>$1</em>');
-    return html;
+  _renderMetadataValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) {
+      if (value.every(item => item === null || typeof item !== 'object')) {
+        return value.map(item => `<span class="front-matter-tag">${this.escapeHtml(String(item ?? ''))}</span>`).join(' ');
+      }
+      return `<ul>\n${value.map(item => `<li>${this._renderMetadataValue(item)}</li>\n`).join('')}</ul>\n`;
+    }
+    if (typeof value === 'object') {
+      const rows = Object.entries(value).map(([key, val]) =>
+        `<dt>${this.escapeHtml(key)}</dt><dd>${this._renderMetadataValue(val)}</dd>\n`).join('');
+      return `<dl>\n${rows}</dl>\n`;
+    }
+    return this.escapeHtml(String(value));
   }
 
-  _parseStrikethrough(html) {
-    return html.replace(/~~(.+?)~~/g, '<del>$1</del>');
+  /**
+   * Nested list of links to the document's headings. A heading nests under the
+   * closest preceding heading of a lower level, so skipped levels are tolerated.
+   */
+  _renderToc(node) {
+    const root = { level: 0, children: [] };
+    const stack = [root];
+    for (const heading of node.headings || []) {
+      while (stack[stack.length - 1].level >= heading.level) stack.pop();
+      const entry = { ...heading, children: [] };
+      stack[stack.length - 1].children.push(entry);
+      stack.push(entry);
+    }
+    const renderList = (entries) => {
+      if (entries.length === 0) return '';
+      const items = entries.map(entry => {
+        const link = entry.id
+          ? `<a href="#${ID_PREFIX}${entry.id}">${this.escapeHtml(entry.text)}</a>`
+          : this.escapeHtml(entry.text);
+        return `<li>${link}${renderList(entry.children)}</li>`;
+      }).join('');
+      return `<ul>${items}</ul>`;
+    };
+    return `<nav class="toc"${this.lineAttr(node)}>${renderList(root.children)}</nav>\n`;
+  }
+
+  _renderFootnote(node) {
+    const n = node.index;
+    let backrefs = '';
+    for (let k = 1; k <= node.refCount; k++) {
+      const suffix = k > 1 ? `-${k}` : '';
+      const mark = k > 1 ? `↩<sup>${k}</sup>` : '↩';
+      backrefs += ` <a href="#${ID_PREFIX}fnref-${n}${suffix}" class="footnote-backref" aria-label="Back to reference ${n}${suffix}">${mark}</a>`;
+    }
+    let inner = this.renderChildren(node);
+    // Back-references go at the end of the last paragraph, as on GitHub
+    if (inner.endsWith('</p>\n')) {
+      inner = inner.slice(0, -5) + backrefs + '</p>\n';
+    } else {
+      inner += `<p>${backrefs.trim()}</p>\n`;
+    }
+    return `<li id="${ID_PREFIX}fn-${n}"${this.lineAttr(node)}>\n${inner}</li>\n`;
+  }
+
+  _renderTable(node) {
+    let head = '';
+    let body = '';
+    for (const row of node.children) {
+      const tag = row.isHeader ? 'th' : 'td';
+      const cells = row.children.map(cell => {
+        const align = cell.align ? ` style="text-align:${cell.align}"` : '';
+        return `<${tag}${align}>${this.renderChildren(cell)}</${tag}>`;
+      }).join('');
+      if (row.isHeader) {
+        head += `<tr${this.lineAttr(row)}>${cells}</tr>`;
+      } else {
+        body += `<tr${this.lineAttr(row)}>${cells}</tr>`;
+      }
+    }
+    return `<table${this.lineAttr(node)}><thead>${head}</thead>${body ? `<tbody>${body}</tbody>` : ''}</table>\n`;
   }
 
-  _parseParagraphs(html) {
-    const lines = html.split('\n\n');
-    return lines.map(block => {
-      block = block.trim();
-      if (!block) return '';
-      // Don't wrap block-level elements or placeholders in <p>
-      if (/^<(h[1-6]|ul|ol|li|blockquote|pre|table|thead|tbody|tr|th|td|hr|div|p|section|article|aside|header|footer|nav|main|details|summary|figure|figcaption)[\s>]/i.test(block)) {
-        return block;
+  _renderInline(node) {
+    switch (node.type) {
+      case 'text':
+        return this.escapeHtml(node.literal);
+      case 'softbreak':
+        return '\n';
+      case 'linebreak':
+        return '<br>\n';
+      case 'code':
+        return `<code>${this.escapeHtml(node.literal)}</code>`;
+      case 'emph':
+        return `<em>${this.renderChildren(node)}</em>`;
+      case 'strong':
+        return `<strong>${this.renderChildren(node)}</strong>`;
+      case 'strikethrough':
+        return `<del>${this.renderChildren(node)}</del>`;
+      case 'html_inline':
+        return node.literal;
+      case 'footnote_ref': {
+        const suffix = node.refIndex > 1 ? `-${node.refIndex}` : '';
+        return `<sup class="footnote-ref"><a href="#${ID_PREFIX}fn-${node.index}" id="${ID_PREFIX}fnref-${node.index}${suffix}">${node.index}</a></sup>`;
+      }
+      case 'math':
+        return node.display
+          ? `<span class="math-display">\\[${this.escapeHtml(node.literal)}\\]</span>`
+          : `<span class="math-inline">\\(${this.escapeHtml(node.literal)}\\)</span>`;
+      case 'link': {
+        const title = node.title ? ` title="${this.escapeHtml(node.title)}"` : '';
+        const href = this.escapeHtml(normalizeUri(node.destination));
+        // External URLs open in a new tab; in-page anchors (#heading) and workspace
+        // paths (./docs/setup.md) are handled inside the app by the preview
+        const target = reExternalUri.test(href) ? ' target="_blank" rel="noopener noreferrer"' : '';
+        return `<a href="${href}"${title}${target}>${this.renderChildren(node)}</a>`;
       }
-      // Don't wrap placeholder tokens
-      if (/^\x00/.test(block)) {
-        return block;
+      case 'wikilink':
+        return this._renderWikiLink(node);
+      case 'image': {
+        const src = this.escapeHtml(normalizeUri(this.resolveImagePath(node.destination)));
+        const alt = this.escapeHtml(plainText(node));
+        const title = node.title ? ` title="${this.escapeHtml(node.title)}"` : '';
+        return `<img src="${src}" alt="${alt}"${title} loading="lazy">`;
       }
-      return `<p>${block}</p>`;
-    }).join('\n');
+      default:
+        // Unknown types (e.g. extension nodes without a rule) render their content
+        return node.children ? this.renderChildren(node) : '';
+    }
   }
 
-  _parseLineBreaks(html) {
-    html = html.replace(/  \n/g, '<br>\n');
-    html = html.replace(/\\\n/g, '<br>\n');
-    return html;
+  /**
+   * Wiki links stay in the app: the preview opens data-wikilink paths in the
+   * workspace and offers to create data-wikilink-missing pages.
+   */
+  _renderWikiLink(node) {
+    const text = this.renderChildren(node);
+    const anchor = node.heading ? `#${ID_PREFIX}${slugify(node.heading)}` : '';
+    if (!node.target) {
+      return `<a class="wikilink" href="${this.escapeHtml(anchor)}">${text}</a>`;
+    }
+    const path = this.resolveWikiLink(node.target);
+    if (!path) {
+      return `<a class="wikilink wikilink-missing" href="#" data-wikilink-missing="${this.escapeHtml(node.target)}">${text}</a>`;
+    }
+    const heading = anchor ? ` data-heading="${this.escapeHtml(anchor.slice(1))}"` : '';
+    const href = this.escapeHtml(normalizeUri(path) + anchor);
+    return `<a class="wikilink" href="${href}" data-wikilink="${this.escapeHtml(path)}"${heading}>${text}</a>`;
   }
 }
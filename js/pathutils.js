@@ -116,3 +116,103 @@ export function computeRelativePath(fromFilePath, toFilePath) {
     const upSegments = Array(ups).fill('..');
     return [...upSegments, ...remaining].join('/');
 }
+
+/**
+ * Resolve a wiki link target ("Page", "folder/page", "notes.md") to a workspace file.
+ * Tried in order, case-insensitively, with ".md" added when the target has no
+ * Markdown extension:
+ *   1. relative to the current file's directory
+ *   2. from the workspace root
+ *   3. any file whose path ends with the target (the shortest such path wins)
+ *
+ * @param {string} currentMdPath - Absolute virtual path of the linking file
+ * @param {string} target        - Link target as written (without #heading)
+ * @param {string[]} filePaths   - Absolute virtual paths of all workspace files
+ * @returns {string|null} Matching file path, or null if the page does not exist
+ */
+export function resolveWikiLinkPath(currentMdPath, target, filePaths) {
+    if (!target) return null;
+    target = target.replace(/\\/g, '/');
+    const names = /\.(?:md|markdown)$/i.test(target) ? [target] : [target + '.md', target];
+
+    const byLowerPath = new Map();
+    for (const path of filePaths) {
+        const key = path.toLowerCase();
+        if (!byLowerPath.has(key)) byLowerPath.set(key, path);
+    }
+
+    for (const name of names) {
+        const candidates = [
+            resolveRelativeAssetPath(currentMdPath || '/', name),
+            normalizePath('/' + name)
+        ];
+        for (const candidate of candidates) {
+            const match = byLowerPath.get(candidate.toLowerCase());
+            if (match) return match;
+        }
+    }
+
+    for (const name of names) {
+        const suffix = normalizePath('/' + name).toLowerCase();
+        const matches = filePaths
+            .filter(path => path.toLowerCase().endsWith(suffix))
+            .sort((a, b) => a.length - b.length);
+        if (matches.length > 0) return matches[0];
+    }
+    return null;
+}
+
+/**
+ * Find the blob URL of a workspace file. Exact path matches win; otherwise any
+ * file with the same name is used (backward compat for flat workspaces).
+ *
+ * @param {Map<string, string>} blobUrls - Absolute virtual path → blob URL
+ * @param {string} srcPath               - Path to look up ("img/a.png", "./a.png", "/a.png")
+ * @returns {string|null} Blob URL, or null if no file matches
+ */
+export function findBlobUrl(blobUrls, srcPath) {
+    // Normalize: remove leading ./ if present
+    let normalized = srcPath.replace(/^\.\//, '');
+    if (!normalized.startsWith('/')) normalized = '/' + normalized;
+
+    // Check exact path match (preferred)
+    if (blobUrls.has(normalized)) {
+        return blobUrls.get(normalized);
+    }
+
+    // Fallback: match by filename only
+    const srcFileName = normalized.split('/').pop();
+    for (const [path, url] of blobUrls) {
+        const fileName = path.split('/').pop();
+        if (fileName === srcFileName) return url;
+    }
+
+    return null;
+}
+
+/**
+ * Resolve an image source as written in Markdown to a displayable URL: absolute
+ * URLs and data URIs are kept, workspace images become their blob URL.
+ *
+ * @param {string} src                   - Image source (may be percent-encoded)
+ * @param {string} currentMdPath         - Absolute virtual path of the active .md file
+ * @param {Map<string, string>} blobUrls - Absolute virtual path → blob URL
+ * @returns {string} Blob URL, or src unchanged when no workspace file matches
+ */
+export function resolveImageUrl(src, currentMdPath, blobUrls) {
+    if (/^https?:\/\//.test(src) || src.startsWith('data:')) {
+        return src;
+    }
+
+    // Destinations may be percent-encoded (e.g. "my%20logo.png" in a link
+    // definition); workspace paths are stored decoded
+    let path = src;
+    try {
+        path = decodeURI(src);
+    } catch (e) {
+        // Malformed escapes: keep the path as written
+    }
+
+    const resolvedPath = resolveRelativeAssetPath(currentMdPath || '/', path);
+    return findBlobUrl(blobUrls, resolvedPath) || src;
+}
@@ -0,0 +1,42 @@
+/**
+ * preview-worker.js — Background Markdown Parsing
+ * Module worker used by Preview for large documents. Messages from the page:
+ *   { type: 'context', workspaceFiles, blobUrls } — sent when workspace files change
+ *   { type: 'render', seq, md, activePath, labels } — one per render
+ * Each render is answered with { seq, html, metadata, elapsed } (elapsed = parse
+ * time in ms) or { seq, error }. Sanitizing and DOM updates stay on the main thread.
+ */
+import { MarkdownParser } from './markdown.js';
+import { resolveImageUrl, resolveWikiLinkPath } from './pathutils.js';
+
+let workspaceFiles = [];
+let blobUrls = new Map();
+let activePath = '/';
+let labels = { alerts: {}, metadata: 'Metadata' };
+
+const parser = new MarkdownParser({
+    resolveImagePath: (src) => resolveImageUrl(src, activePath, blobUrls),
+    alertTitle: (type) => labels.alerts[type] || type,
+    metadataLabel: () => labels.metadata,
+    resolveWikiLink: (target) => resolveWikiLinkPath(activePath, target, workspaceFiles)
+});
+
+self.addEventListener('message', (e) => {
+    const msg = e.data;
+    if (msg.type === 'context') {
+        workspaceFiles = msg.workspaceFiles;
+        blobUrls = new Map(msg.blobUrls);
+        return;
+    }
+    if (msg.type !== 'render') return;
+
+    activePath = msg.activePath;
+    labels = msg.labels;
+    try {
+        const start = performance.now();
+        const html = parser.parse(msg.md);
+        self.postMessage({ seq: msg.seq, html, metadata: parser.metadata, elapsed: performance.now() - start });
+    } catch (err) {
+        self.postMessage({ seq: msg.seq, error: err.message || String(err) });
+    }
+});
@@ -1,10 +1,76 @@
 /**
  * preview.js — Live Preview Renderer
- * Renders Markdown to HTML with DOMPurify sanitization,
+ * Renders Markdown to HTML with DOMPurify sanitization (sanitizer.js),
  * MathJax typesetting, Mermaid diagram rendering, and image resolution.
+ *
+ * Large documents are parsed in a Web Worker (preview-worker.js), so typing stays
+ * responsive; the main thread only sanitizes and applies the result. Renders are
+ * debounced by the measured parse time, and a render superseded while waiting
+ * (or while the worker is busy) is dropped. The DOM is patched block by block,
+ * so unchanged blocks (typeset math, rendered diagrams, media) are kept.
  */
-import { MarkdownParser } from './markdown.js';
-import { resolveRelativeAssetPath } from './pathutils.js';
+import { ID_PREFIX, MarkdownParser } from './markdown.js';
+import { resolveImageUrl, resolveRelativeAssetPath, resolveWikiLinkPath } from './pathutils.js';
+import { sanitizeHtml } from './sanitizer.js';
+import { t } from './i18n.js';
+
+// Documents at least this long (characters) are parsed in the worker
+const WORKER_MIN_LENGTH = 20000;
+// Parses faster than this (ms) render immediately; slower ones are debounced
+const IMMEDIATE_PARSE_TIME = 16;
+// Upper bound for the render debounce (ms)
+const MAX_RENDER_DELAY = 500;
+const ALERT_TYPES = ['note', 'tip', 'important', 'warning', 'caution'];
+// Rendered Mermaid SVGs kept for reuse (least recently used are evicted)
+const MERMAID_CACHE_LIMIT = 50;
+// Source line attributes, which shift whenever lines are added above a block
+const reLineAttr = / data-(?:source|task)-line="\d+"/g;
+const LINE_ATTR_SELECTOR = '[data-source-line], [data-task-line]';
+
+// 53-bit string hash (cyrb53) plus length, for content-addressed caching
+function hashString(str) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    const hash = 4294967296 * (2097151 & h2) + (h1 >>> 0);
+    return `${str.length.toString(36)}-${hash.toString(36)}`;
+}
+
+function serializeNode(node) {
+    if (node.nodeType === Node.ELEMENT_NODE) return node.outerHTML;
+    if (node.nodeType === Node.COMMENT_NODE) return `<!--${node.data}-->`;
+    return node.textContent;
+}
+
+// Elements of a subtree that carry line attributes, the root included
+function lineAttrElements(el) {
+    if (el.nodeType !== Node.ELEMENT_NODE) return [];
+    return [...(el.matches(LINE_ATTR_SELECTOR) ? [el] : []), ...el.querySelectorAll(LINE_ATTR_SELECTOR)];
+}
+
+/**
+ * Copy the line attributes of a freshly rendered block onto the kept block it
+ * matches. Returns false if the two no longer line up (the block is replaced).
+ */
+function syncLineAttrs(kept, fresh) {
+    const from = lineAttrElements(fresh);
+    const to = lineAttrElements(kept);
+    if (from.length !== to.length) return false;
+    from.forEach((el, i) => {
+        for (const name of ['data-source-line', 'data-task-line']) {
+            const value = el.getAttribute(name);
+            if (value === null) to[i].removeAttribute(name);
+            else to[i].setAttribute(name, value);
+        }
+    });
+    return true;
+}
 
 export class Preview {
     constructor(app) {
@@ -12,88 +78,296 @@ export class Preview {
         this.container = document.getElementById('preview-content');
         this.wrapper = document.getElementById('preview-wrapper');
         this.parser = new MarkdownParser({
-            resolveImagePath: (src) => this._resolveImage(src)
+            resolveImagePath: (src) => this._resolveImage(src),
+            alertTitle: (type) => t(`alert.${type}`),
+            metadataLabel: () => t('preview.metadata'),
+            resolveWikiLink: (target) => resolveWikiLinkPath(
+                this.app.workspace?.getActiveFilePath() || '/', target, this._workspaceFiles)
         });
 
         // Debounce timers
         this._mathjaxTimer = null;
         this._mermaidTimer = null;
-        this._mermaidCache = new Map(); // id → source hash
+        this._renderTimer = null;
+        this._mermaidSources = new WeakMap(); // diagram element → Mermaid source
+        this._mermaidSvgCache = new Map(); // "theme:hash" → { svg, renderTime, hits }, oldest first
+        this._mermaidSeq = 0;
+        this._mermaidForce = false;
+        this._mathjaxPending = new Set(); // elements waiting to be typeset
+        this._renderedNodes = new WeakMap(); // top-level preview node → { key, source }
+        this.metadata = {}; // front matter of the current document
+        this._workspaceFiles = []; // file paths for resolving [[wiki links]]
+
+        // Render bookkeeping: every request gets a sequence number; only results
+        // newer than the one on screen are applied
+        this._renderSeq = 0;
+        this._appliedSeq = 0;
+        this._parseTime = 0; // moving average, ms
+        this._renderWaiters = [];
+        this._workerBusy = false;
+        this._queuedRender = null; // newest request waiting for the worker
+        this._worker = this._createWorker();
 
         this.app.eventBus.on('editor:input', (md) => this.render(md));
-        this.app.eventBus.on('files:changed', () => this._rerender());
+        this.app.eventBus.on('files:changed', () => this._refreshWorkspaceFiles());
+        this._refreshWorkspaceFiles();
+        this.container.addEventListener('dblclick', (e) => this._onDoubleClick(e));
+        this.container.addEventListener('click', (e) => this._onClick(e));
+        this.container.addEventListener('change', (e) => this._onTaskToggle(e));
     }
 
+    /**
+     * Schedule a render of the given Markdown. Resolves once the preview shows
+     * it (or a newer document).
+     * @param {string} md
+     * @returns {Promise<void>}
+     */
     render(md) {
         this._currentMd = md;
-        let html = this.parser.parse(md);
-
-        // Sanitize HTML output with DOMPurify (if loaded)
-        if (typeof DOMPurify !== 'undefined') {
-            html = DOMPurify.sanitize(html, {
-                // Allow safe subset of HTML
-                ALLOWED_TAGS: [
-                    // Block
-                    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-                    'p', 'div', 'span', 'section', 'article', 'aside',
-                    'header', 'footer', 'nav', 'main',
-                    'ul', 'ol', 'li', 'dl', 'dt', 'dd',
-                    'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
-                    'caption', 'colgroup', 'col',
-                    'blockquote', 'pre', 'code', 'hr', 'br',
-                    'details', 'summary',
-                    'figure', 'figcaption',
-                    // Inline
-                    'a', 'img', 'em', 'strong', 'b', 'i', 'u', 's',
-                    'del', 'ins', 'sub', 'sup', 'mark', 'small',
-                    'abbr', 'cite', 'dfn', 'time', 'kbd', 'var', 'samp',
-                    'ruby', 'rt', 'rp',
-                    // Forms (readonly)
-                    'input', 'label',
-                    // Media
-                    'video', 'audio', 'source', 'picture',
-                    // SVG for mermaid
-                    'svg', 'g', 'path', 'circle', 'rect', 'line', 'polyline',
-                    'polygon', 'text', 'tspan', 'defs', 'marker', 'use',
-                    'foreignObject', 'clipPath', 'mask', 'pattern',
-                    'linearGradient', 'radialGradient', 'stop',
-                    'desc', 'title', 'metadata', 'symbol',
-                ],
-                ALLOWED_ATTR: [
-                    'href', 'src', 'alt', 'title', 'class', 'id',
-                    'style', 'target', 'rel', 'loading',
-                    'type', 'checked', 'disabled',
-                    'width', 'height', 'align', 'valign', 'colspan', 'rowspan',
-                    'datetime', 'cite', 'lang', 'dir',
-                    'open', 'start', 'reversed',
-                    'controls', 'autoplay', 'loop', 'muted', 'preload',
-                    // SVG attributes
-                    'viewBox', 'xmlns', 'fill', 'stroke', 'stroke-width',
-                    'stroke-dasharray', 'stroke-linecap', 'stroke-linejoin',
-                    'd', 'cx', 'cy', 'r', 'rx', 'ry', 'x', 'y', 'x1', 'y1', 'x2', 'y2',
-                    'points', 'transform', 'opacity', 'font-size', 'font-family',
-                    'font-weight', 'text-anchor', 'dominant-baseline',
-                    'marker-end', 'marker-start', 'marker-mid',
-                    'clip-path', 'mask', 'gradientUnits', 'gradientTransform',
-                    'offset', 'stop-color', 'stop-opacity',
-                    'xlink:href', 'preserveAspectRatio',
-                    'data-tooltip', 'aria-label', 'role',
-                ],
-                // Forbid dangerous elements
-                FORBID_TAGS: ['script', 'iframe', 'object', 'embed', 'form', 'style'],
-                FORBID_ATTR: ['onerror', 'onload', 'onclick', 'onmouseover', 'onfocus',
-                    'onblur', 'onsubmit', 'onchange', 'oninput', 'onkeydown',
-                    'onkeyup', 'onkeypress', 'onmousedown', 'onmouseup'],
-                ADD_ATTR: ['target'],
-                KEEP_CONTENT: true,
+        const seq = ++this._renderSeq;
+        const done = this.whenRendered();
+
+        clearTimeout(this._renderTimer);
+        const delay = this._renderDelay();
+        if (delay === 0) {
+            this._startRender(seq, md);
+        } else {
+            this._renderTimer = setTimeout(() => this._startRender(seq, md), delay);
+        }
+        return done;
+    }
+
+    /**
+     * Resolves when no render is pending, i.e. the DOM reflects the latest document.
+     * @returns {Promise<void>}
+     */
+    whenRendered() {
+        if (this._appliedSeq >= this._renderSeq) return Promise.resolve();
+        return new Promise(resolve => this._renderWaiters.push(resolve));
+    }
+
+    // About twice the recent parse time, so a render is never queued behind another
+    _renderDelay() {
+        if (this._parseTime < IMMEDIATE_PARSE_TIME) return 0;
+        return Math.min(Math.round(this._parseTime * 2), MAX_RENDER_DELAY);
+    }
+
+    _recordParseTime(ms) {
+        this._parseTime = this._parseTime === 0 ? ms : this._parseTime * 0.7 + ms * 0.3;
+    }
+
+    _startRender(seq, md) {
+        if (!this._canUseWorker(md)) {
+            const start = performance.now();
+            let html;
+            try {
+                html = this.parser.parse(md);
+            } catch (err) {
+                // E.g. a stack overflow on pathologically nested input
+                console.warn('Preview render error:', err);
+                this._applyError(seq, err.message || String(err));
+                return;
+            }
+            this._recordParseTime(performance.now() - start);
+            this._applyRender(seq, html, this.parser.metadata);
+            return;
+        }
+
+        // One parse at a time: while the worker is busy, newer requests replace older ones
+        if (this._workerBusy) {
+            this._queuedRender = { seq, md };
+            return;
+        }
+        this._workerBusy = true;
+        this._worker.postMessage({
+            type: 'render',
+            seq,
+            md,
+            activePath: this.app.workspace?.getActiveFilePath() || '/',
+            labels: this._labels()
+        });
+    }
+
+    /**
+     * The worker handles large documents. Syntax extensions are functions, which
+     * cannot be sent to it, so documents are parsed here while any are registered.
+     */
+    _canUseWorker(md) {
+        if (!this._worker || md.length < WORKER_MIN_LENGTH) return false;
+        const { inlineRules, blockRules, renderer } = this.parser;
+        return inlineRules.length === 0 && blockRules.length === 0 && Object.keys(renderer.rules).length === 0;
+    }
+
+    _createWorker() {
+        if (typeof Worker === 'undefined') return null;
+        try {
+            const worker = new Worker(new URL('./preview-worker.js', import.meta.url), { type: 'module' });
+            worker.addEventListener('message', (e) => this._onWorkerMessage(e.data));
+            worker.addEventListener('error', (e) => {
+                // E.g. module workers unsupported: fall back to parsing on the main thread
+                console.warn('Preview worker error, rendering on the main thread:', e.message);
+                worker.terminate();
+                this._worker = null;
+                this._workerBusy = false;
+                this._queuedRender = null;
+                if (this._appliedSeq < this._renderSeq) this._startRender(this._renderSeq, this._currentMd);
             });
+            return worker;
+        } catch (e) {
+            console.warn('Preview worker unavailable:', e);
+            return null;
+        }
+    }
+
+    _onWorkerMessage({ seq, html, metadata, elapsed, error }) {
+        this._workerBusy = false;
+        if (error) {
+            console.warn('Preview worker render error:', error);
+            this._applyError(seq, error);
+        } else {
+            this._recordParseTime(elapsed);
+            this._applyRender(seq, html, metadata);
         }
 
-        this.container.innerHTML = html;
+        const queued = this._queuedRender;
+        this._queuedRender = null;
+        if (queued) this._startRender(queued.seq, queued.md);
+    }
+
+    // Workspace data the worker needs to resolve images and wiki links
+    _postWorkerContext() {
+        if (!this._worker) return;
+        this._worker.postMessage({
+            type: 'context',
+            workspaceFiles: this._workspaceFiles,
+            blobUrls: [...(this.app.fileManager?.blobUrls || [])]
+        });
+    }
+
+    // Localized strings the worker cannot look up itself
+    _labels() {
+        const alerts = {};
+        ALERT_TYPES.forEach(type => { alerts[type] = t(`alert.${type}`); });
+        return { alerts, metadata: t('preview.metadata') };
+    }
+
+    /**
+     * Sanitize and show a rendered document, unless a newer one is already shown.
+     */
+    _applyRender(seq, html, metadata) {
+        if (seq <= this._appliedSeq) return;
+        this._appliedSeq = seq;
+        this.metadata = metadata;
+
+        // Sanitize with DOMPurify, or the built-in allowlist sanitizer if it did not load
+        html = sanitizeHtml(html);
+
+        // Keep the front matter card expanded across re-renders
+        const metadataOpen = this.container.querySelector('details.front-matter')?.open;
+        const { added, removed } = this._patch(html);
+        if (metadataOpen) {
+            const card = this.container.querySelector('details.front-matter');
+            if (card) card.open = true;
+        }
 
-        // Post-processing: MathJax and Mermaid
-        this._triggerMathJax();
+        // Post-processing: MathJax and Mermaid, for new blocks only
+        if (removed.length > 0 && typeof MathJax !== 'undefined' && MathJax.typesetClear) {
+            MathJax.typesetClear(removed);
+        }
+        this._triggerMathJax(added);
         this._triggerMermaid();
+        this._settleWaiters();
+    }
+
+    /**
+     * A document that failed to parse: keep the last rendered preview under an
+     * error notice (removed by the next successful render) and count the request
+     * as done, so whenRendered() does not wait forever.
+     */
+    _applyError(seq, message) {
+        if (seq <= this._appliedSeq) return;
+        this._appliedSeq = seq;
+
+        let notice = this.container.querySelector(':scope > .preview-error');
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.className = 'preview-error';
+            notice.setAttribute('role', 'alert');
+            this.container.prepend(notice);
+        }
+        notice.textContent = t('preview.renderError', { message });
+        this._settleWaiters();
+    }
+
+    _settleWaiters() {
+        if (this._appliedSeq < this._renderSeq) return;
+        const waiters = this._renderWaiters;
+        this._renderWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    /**
+     * Update the preview to the given HTML block by block. Top-level nodes whose
+     * HTML is unchanged are kept as they are, so typeset math, rendered diagrams,
+     * loaded images, open <details> and playing media survive re-renders. Blocks
+     * that only moved to other source lines just get their line attributes updated.
+     * Returns the inserted and removed elements.
+     */
+    _patch(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        // Unchanged old nodes, by key, in document order
+        const reusable = new Map();
+        for (const node of this.container.childNodes) {
+            const rendered = this._renderedNodes.get(node);
+            if (!rendered) continue;
+            if (!reusable.has(rendered.key)) reusable.set(rendered.key, []);
+            reusable.get(rendered.key).push(node);
+        }
+
+        const kept = new Set();
+        const added = [];
+        const nodes = [...template.content.childNodes].map(fresh => {
+            const source = serializeNode(fresh);
+            const key = source.replace(reLineAttr, '');
+            const old = reusable.get(key)?.shift();
+            if (old && (this._renderedNodes.get(old).source === source || syncLineAttrs(old, fresh))) {
+                this._renderedNodes.set(old, { key, source });
+                kept.add(old);
+                return old;
+            }
+            this._renderedNodes.set(fresh, { key, source });
+            if (fresh.nodeType === Node.ELEMENT_NODE) added.push(fresh);
+            return fresh;
+        });
+
+        // Drop stale nodes first, so kept ones never have to move past them
+        const removed = [];
+        for (const node of [...this.container.childNodes]) {
+            if (kept.has(node)) continue;
+            if (node.nodeType === Node.ELEMENT_NODE) removed.push(node);
+            node.remove();
+        }
+
+        let ref = this.container.firstChild;
+        for (const node of nodes) {
+            if (node === ref) {
+                ref = ref.nextSibling;
+            } else {
+                this.container.insertBefore(node, ref);
+            }
+        }
+        return { added, removed };
+    }
+
+    /**
+     * Front matter of the rendered document (title, author, date, tags, lang, …);
+     * an empty object when the document has none.
+     * @returns {Object}
+     */
+    getMetadata() {
+        return this.metadata || {};
     }
 
     _rerender() {
@@ -102,95 +376,325 @@ export class Preview {
         }
     }
 
-    _resolveImage(src) {
-        // If it's an absolute URL or data URI, return directly
-        if (/^https?:\/\//.test(src) || src.startsWith('data:')) {
-            return src;
+    /**
+     * Reload the workspace file list used to resolve wiki links, then re-render
+     * (images and wiki link targets may have appeared or disappeared).
+     */
+    async _refreshWorkspaceFiles() {
+        const fileManager = this.app.fileManager;
+        if (fileManager) {
+            try {
+                const files = await fileManager.getAllFiles();
+                this._workspaceFiles = files.filter(f => f.kind === 'file').map(f => f.path);
+            } catch (e) {
+                console.warn('Workspace file list error:', e);
+            }
         }
+        this._postWorkerContext();
+        this._rerender();
+    }
+
+    /**
+     * Links are followed inside the app where possible: in-page links (#id, e.g.
+     * footnotes) scroll the preview, wiki links and workspace paths open the file
+     * in the editor. External URLs keep their default behavior (new tab).
+     */
+    _onClick(e) {
+        const wikiLink = e.target.closest('a[data-wikilink], a[data-wikilink-missing]');
+        if (wikiLink && this.container.contains(wikiLink)) {
+            e.preventDefault();
+            this._followWikiLink(wikiLink);
+            return;
+        }
+
+        const link = e.target.closest('a[href]');
+        if (!link || !this.container.contains(link)) return;
+        const href = link.getAttribute('href');
+        if (/^(?:[a-z][a-z0-9+.-]*:|\/\/)/i.test(href)) return;
+
+        e.preventDefault();
+        if (href.startsWith('#')) {
+            this.scrollToAnchor(this._decode(href.slice(1), decodeURIComponent));
+        } else {
+            this._followPathLink(href);
+        }
+    }
+
+    /**
+     * Open a relative or absolute workspace path ("./setup.md#install",
+     * "/docs/api.md"), resolved against the active file like image paths.
+     */
+    async _followPathLink(href) {
+        const hashIndex = href.indexOf('#');
+        const anchor = hashIndex === -1 ? '' : this._decode(href.slice(hashIndex + 1), decodeURIComponent);
+        const pathPart = (hashIndex === -1 ? href : href.slice(0, hashIndex)).split('?')[0];
 
-        // Resolve relative path against active Markdown file's directory
         const activePath = this.app.workspace?.getActiveFilePath() || '/';
-        const resolvedPath = resolveRelativeAssetPath(activePath, src);
+        const path = resolveRelativeAssetPath(activePath, this._decode(pathPart, decodeURI));
+        if (!this._workspaceFiles.includes(path)) {
+            this.app.showToast(t('toast.linkNotFound', { name: pathPart }), 'error');
+            return;
+        }
+        await this._openWorkspaceFile(path, anchor);
+    }
 
-        // Try to find a blob URL for the resolved virtual path
-        const fileManager = this.app.fileManager;
-        if (fileManager) {
-            const blobUrl = fileManager.getBlobUrl(resolvedPath);
-            if (blobUrl) return blobUrl;
+    // Percent-decode a link part, keeping it as written if it is malformed
+    _decode(str, decoder) {
+        try {
+            return decoder(str);
+        } catch (e) {
+            return str;
+        }
+    }
+
+    /**
+     * Show a workspace file in the editor (unless it is already open) and
+     * scroll the preview to the given heading id. Non-text files open in a new tab.
+     */
+    async _openWorkspaceFile(path, anchor = '') {
+        const workspace = this.app.workspace;
+        if (path !== workspace.getActiveFilePath()) {
+            const name = path.split('/').pop();
+            const file = await this.app.fileManager.getFile(path);
+            if (!file) {
+                this.app.showToast(t('toast.linkNotFound', { name }), 'error');
+                return;
+            }
+            // Images, PDFs etc. cannot be edited; opening one would make the
+            // next autosave write this document's text over it
+            if (!workspace._isTextFile(name, file.type)) {
+                this._openBinaryFile(file);
+                return;
+            }
+            await workspace._openFile({ path, name });
         }
+        await this.whenRendered();
+        if (anchor) this.scrollToAnchor(anchor);
+    }
 
-        // Graceful fallback
-        return src;
+    /**
+     * Show a non-text workspace file (image, PDF, …) in a new browser tab.
+     */
+    _openBinaryFile(file) {
+        let url = this.app.fileManager.blobUrls.get(file.path);
+        if (!url) {
+            if (!(file.content instanceof ArrayBuffer)) {
+                this.app.showToast(t('toast.binaryNotEditable', { name: file.name }), 'info');
+                return;
+            }
+            url = URL.createObjectURL(new Blob([file.content], { type: file.type || 'application/octet-stream' }));
+            // Long enough for the new tab to load it
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        }
+        window.open(url, '_blank', 'noopener');
     }
 
     /**
-     * Debounced MathJax typesetting
+     * Open the page a wiki link points to (scrolling to its #heading), or offer
+     * to create it when it does not exist yet.
      */
-    _triggerMathJax() {
+    async _followWikiLink(link) {
+        let path = link.dataset.wikilink;
+        if (!path) {
+            const target = link.dataset.wikilinkMissing;
+            if (!confirm(t('dialog.createWikiPage', { name: target }))) return;
+            path = await this._createWikiPage(target);
+        }
+        await this._openWorkspaceFile(path, link.dataset.heading);
+    }
+
+    /**
+     * Create a missing wiki link target next to the current file (or at the
+     * given folder path) with the page name as its heading. Returns the new path.
+     */
+    async _createWikiPage(target) {
+        const fileName = /\.(?:md|markdown)$/i.test(target) ? target : `${target}.md`;
+        const path = resolveRelativeAssetPath(this.app.workspace.getActiveFilePath() || '/', fileName);
+        const name = path.split('/').pop();
+        const title = name.replace(/\.(?:md|markdown)$/i, '');
+
+        await this.app.fileManager.saveFile(path, name, 'text/markdown', `# ${title}\n`, 'file');
+        this.app.eventBus.emit('files:changed');
+        this.app.showToast(t('toast.created', { name }), 'success');
+        return path;
+    }
+
+    /**
+     * Scroll the preview so the element with the given id is at the top.
+     * Generated ids carry ID_PREFIX, so "#intro" finds id="user-content-intro".
+     */
+    scrollToAnchor(id) {
+        if (!id) return;
+        const target = this.container.querySelector(`#${CSS.escape(ID_PREFIX + id)}`)
+            || this.container.querySelector(`#${CSS.escape(id)}`);
+        if (target) target.scrollIntoView({ block: 'start', behavior: 'smooth' });
+    }
+
+    /**
+     * Ticking a task checkbox asks the editor to rewrite its [ ] / [x] marker.
+     */
+    _onTaskToggle(e) {
+        const box = e.target;
+        if (!box.matches('input.task-list-item-checkbox[data-task-line]')) return;
+        // While a render is pending the line numbers may be stale: lines added
+        // or removed above would make the click flip another task
+        if (this._appliedSeq < this._renderSeq) {
+            box.checked = !box.checked;
+            return;
+        }
+        this.app.eventBus.emit('preview:task-toggle', {
+            line: parseInt(box.dataset.taskLine, 10),
+            checked: box.checked
+        });
+    }
+
+    /**
+     * Put a ticked checkbox back when its source line could not be updated
+     * (unchanged blocks are not re-rendered, so the preview would keep the tick).
+     */
+    undoTaskToggle(line) {
+        const box = this.container.querySelector(`input.task-list-item-checkbox[data-task-line="${line}"]`);
+        if (box) box.checked = !box.checked;
+    }
+
+    /**
+     * Double-click a rendered block to jump to its source line in the editor.
+     * Links and form controls keep their own behavior.
+     */
+    _onDoubleClick(e) {
+        if (e.target.closest('a, input, button, summary')) return;
+        const block = e.target.closest('[data-source-line]');
+        if (!block || !this.container.contains(block)) return;
+
+        // Drop the word selection made by the double-click
+        window.getSelection()?.removeAllRanges();
+        this.app.eventBus.emit('preview:jump', parseInt(block.dataset.sourceLine, 10));
+    }
+
+    _resolveImage(src) {
+        const activePath = this.app.workspace?.getActiveFilePath() || '/';
+        return resolveImageUrl(src, activePath, this.app.fileManager?.blobUrls || new Map());
+    }
+
+    /**
+     * Debounced MathJax typesetting of newly inserted blocks
+     */
+    _triggerMathJax(elements) {
+        elements.forEach(el => this._mathjaxPending.add(el));
         clearTimeout(this._mathjaxTimer);
         this._mathjaxTimer = setTimeout(() => {
-            if (typeof MathJax !== 'undefined' && MathJax.typesetPromise) {
-                MathJax.typesetPromise([this.container]).catch(err => {
-                    console.warn('MathJax typeset error:', err);
-                });
-            }
+            if (typeof MathJax === 'undefined' || !MathJax.typesetPromise) return;
+            const pending = [...this._mathjaxPending].filter(el => el.isConnected);
+            this._mathjaxPending.clear();
+            if (pending.length === 0) return;
+            MathJax.typesetPromise(pending).catch(err => {
+                console.warn('MathJax typeset error:', err);
+            });
         }, 150);
     }
 
+    /**
+     * Render every diagram again (e.g. after a theme change).
+     */
+    refreshDiagrams() {
+        this._triggerMermaid(true);
+    }
+
     /**
      * Debounced Mermaid rendering.
-     * Only re-renders diagrams whose source has changed.
+     * Diagrams kept by the DOM patch already show their SVG; only new ones are
+     * rendered, unless `force` asks for all of them. SVGs are cached by source and
+     * theme, so a diagram that reappears (undo, moved block, theme switched back,
+     * another file with the same diagram) is not rendered again.
      */
-    _triggerMermaid() {
+    _triggerMermaid(force = false) {
         clearTimeout(this._mermaidTimer);
+        this._mermaidForce = this._mermaidForce || force;
         this._mermaidTimer = setTimeout(() => {
             if (typeof mermaid === 'undefined') return;
+            const forceAll = this._mermaidForce;
+            this._mermaidForce = false;
 
             const mermaidEls = this.container.querySelectorAll('div.mermaid');
             if (mermaidEls.length === 0) return;
 
-            mermaidEls.forEach((el, idx) => {
-                const source = el.textContent.trim();
-                const id = `mermaid-${idx}`;
-                const hash = this._simpleHash(source);
+            const theme = document.documentElement.getAttribute('data-theme') || 'dark';
+            mermaidEls.forEach((el) => {
+                if (this._mermaidSources.has(el) && !forceAll) return;
 
-                // Skip if unchanged
-                if (this._mermaidCache.get(id) === hash && el.querySelector('svg')) {
-                    return;
-                }
+                // The source text is replaced by the SVG, so it is remembered
+                const source = this._mermaidSources.get(el) ?? el.textContent.trim();
+                this._mermaidSources.set(el, source);
+                const key = `${theme}:${hashString(source)}`;
 
-                this._mermaidCache.set(id, hash);
-
-                try {
-                    // Use mermaid.render to generate SVG
-                    const renderResult = mermaid.render(id, source);
-
-                    // mermaid.render may return a Promise or { svg } depending on version
-                    if (renderResult && typeof renderResult.then === 'function') {
-                        renderResult.then(({ svg }) => {
-                            el.innerHTML = svg;
-                        }).catch(err => {
-                            console.warn('Mermaid render error:', err);
-                            el.innerHTML = `<pre class="mermaid-error">${this._escapeForDisplay(err.message || String(err))}</pre>`;
-                        });
-                    } else if (renderResult && renderResult.svg) {
-                        el.innerHTML = renderResult.svg;
-                    }
-                } catch (err) {
-                    console.warn('Mermaid render error:', err);
-                    el.innerHTML = `<pre class="mermaid-error">${this._escapeForDisplay(err.message || String(err))}</pre>`;
+                const cached = this._getCachedSvg(key);
+                if (cached) {
+                    el.innerHTML = cached.svg;
+                    el.dataset.renderTime = cached.renderTime.toFixed(1);
+                    return;
                 }
+                this._renderDiagram(el, source, key);
             });
         }, 200);
     }
 
-    _simpleHash(str) {
-        let hash = 0;
-        for (let i = 0; i < str.length; i++) {
-            hash = ((hash << 5) - hash) + str.charCodeAt(i);
-            hash |= 0;
+    _renderDiagram(el, source, key) {
+        const id = `mermaid-${++this._mermaidSeq}`;
+        const start = performance.now();
+        const show = ({ svg }) => {
+            const renderTime = performance.now() - start;
+            this._cacheSvg(key, svg, renderTime);
+            el.innerHTML = svg;
+            el.dataset.renderTime = renderTime.toFixed(1);
+        };
+        const showError = (err) => {
+            console.warn('Mermaid render error:', err);
+            el.innerHTML = `<pre class="mermaid-error">${this._escapeForDisplay(err.message || String(err))}</pre>`;
+        };
+
+        try {
+            // Use mermaid.render to generate SVG
+            const renderResult = mermaid.render(id, source);
+
+            // mermaid.render may return a Promise or { svg } depending on version
+            if (renderResult && typeof renderResult.then === 'function') {
+                renderResult.then(show).catch(showError);
+            } else if (renderResult && renderResult.svg) {
+                show(renderResult);
+            }
+        } catch (err) {
+            showError(err);
+        }
+    }
+
+    // Cache lookup that marks the entry as most recently used
+    _getCachedSvg(key) {
+        const entry = this._mermaidSvgCache.get(key);
+        if (!entry) return null;
+        this._mermaidSvgCache.delete(key);
+        this._mermaidSvgCache.set(key, entry);
+        entry.hits++;
+        return entry;
+    }
+
+    _cacheSvg(key, svg, renderTime) {
+        this._mermaidSvgCache.delete(key);
+        this._mermaidSvgCache.set(key, { svg, renderTime, hits: 0 });
+        while (this._mermaidSvgCache.size > MERMAID_CACHE_LIMIT) {
+            this._mermaidSvgCache.delete(this._mermaidSvgCache.keys().next().value);
         }
-        return hash;
+    }
+
+    /**
+     * Render timing of the cached diagrams, most recently used last:
+     * [{ theme, hash, renderTime (ms), hits (times reused) }].
+     * @returns {Object[]}
+     */
+    getDiagramTimings() {
+        return [...this._mermaidSvgCache].map(([key, { renderTime, hits }]) => {
+            const [theme, hash] = key.split(':');
+            return { theme, hash, renderTime, hits };
+        });
     }
 
     _escapeForDisplay(str) {
@@ -202,9 +706,64 @@ export class Preview {
         this.wrapper.scrollTop = maxScroll * percent;
     }
 
+    /**
+     * Line anchors for scroll sync: rendered blocks carrying data-source-line,
+     * with their offset inside the scroll wrapper. Anchors that do not advance
+     * both line and offset (nested blocks on the same line, hidden content) are
+     * skipped so the list can be interpolated in either direction.
+     */
+    _getLineAnchors() {
+        const originTop = this.wrapper.getBoundingClientRect().top - this.wrapper.scrollTop;
+        const anchors = [{ line: 1, top: 0 }];
+        this.container.querySelectorAll('[data-source-line]').forEach(el => {
+            const line = parseInt(el.dataset.sourceLine, 10);
+            const top = el.getBoundingClientRect().top - originTop;
+            const last = anchors[anchors.length - 1];
+            if (line > last.line && top > last.top) {
+                anchors.push({ line, top });
+            }
+        });
+        // End of document
+        const lineCount = this._currentMd ? this._currentMd.split('\n').length : 1;
+        const last = anchors[anchors.length - 1];
+        anchors.push({
+            line: Math.max(lineCount + 1, last.line + 1),
+            top: Math.max(this.wrapper.scrollHeight, last.top + 1)
+        });
+        return anchors;
+    }
+
+    // Linear interpolation between the two anchors surrounding `value`
+    _interpolateAnchors(anchors, from, to, value) {
+        let i = 0;
+        while (i < anchors.length - 2 && anchors[i + 1][from] <= value) i++;
+        const a = anchors[i];
+        const b = anchors[i + 1];
+        const frac = Math.min(Math.max((value - a[from]) / (b[from] - a[from]), 0), 1);
+        return a[to] + (b[to] - a[to]) * frac;
+    }
+
+    /**
+     * Scroll so that the block rendered from the given (fractional) source line is at the top.
+     */
+    scrollToSourceLine(line) {
+        const anchors = this._getLineAnchors();
+        this.wrapper.scrollTop = this._interpolateAnchors(anchors, 'line', 'top', line);
+    }
+
+    /**
+     * Source line (fractional) of the content at the top of the preview viewport.
+     */
+    getSourceLineAtScroll() {
+        const anchors = this._getLineAnchors();
+        return this._interpolateAnchors(anchors, 'top', 'line', this.wrapper.scrollTop);
+    }
+
     destroy() {
         clearTimeout(this._mathjaxTimer);
         clearTimeout(this._mermaidTimer);
+        clearTimeout(this._renderTimer);
+        if (this._worker) this._worker.terminate();
         this.container.innerHTML = '';
     }
 }
@@ -0,0 +1,83 @@
+/**
+ * pwa.js — Service Worker Registration & Update Prompt
+ * Registers sw.js so the app and its libraries work offline, and shows a prompt
+ * when a new version has been downloaded. The new version only takes over when
+ * the user chooses to reload, after the current file has been saved.
+ */
+import { t } from './i18n.js';
+
+export class PwaManager {
+    constructor(app) {
+        this.app = app;
+        this.prompt = document.getElementById('update-prompt');
+        this.registration = null;
+        this._waiting = null; // installed worker waiting to take over
+        this._updating = false; // set once the user accepted the update
+
+        document.getElementById('update-reload')?.addEventListener('click', () => this.applyUpdate());
+        document.getElementById('update-dismiss')?.addEventListener('click', () => this._hidePrompt());
+    }
+
+    async register() {
+        // Service workers need a secure context (https or localhost)
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+        try {
+            this.registration = await navigator.serviceWorker.register('sw.js');
+        } catch (e) {
+            console.warn('Service worker registration failed:', e);
+            return;
+        }
+
+        const reg = this.registration;
+        if (reg.waiting && navigator.serviceWorker.controller) {
+            this._showPrompt(reg.waiting);
+        }
+
+        reg.addEventListener('updatefound', () => {
+            const worker = reg.installing;
+            worker?.addEventListener('statechange', () => {
+                if (worker.state !== 'installed') return;
+                if (navigator.serviceWorker.controller) {
+                    this._showPrompt(worker);
+                } else {
+                    // First install: nothing to update, the app is now cached
+                    this.app.showToast(t('toast.offlineReady'), 'success');
+                }
+            });
+        });
+
+        // The first install also changes the controller; only reload for an accepted update
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this._updating) location.reload();
+        });
+
+        // Look for a new version whenever the tab becomes visible again
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                reg.update().catch(() => { /* offline */ });
+            }
+        });
+    }
+
+    /**
+     * Activate the downloaded version and reload. The page reloads once the new
+     * service worker has taken control.
+     */
+    async applyUpdate() {
+        if (!this._waiting) return;
+        this._hidePrompt();
+        this._updating = true;
+        await this.app.storage?._persistActiveFile();
+        this._waiting.postMessage({ type: 'skip-waiting' });
+    }
+
+    _showPrompt(worker) {
+        this._waiting = worker;
+        this.prompt?.classList.add('visible');
+    }
+
+    _hidePrompt() {
+        this.prompt?.classList.remove('visible');
+    }
+}
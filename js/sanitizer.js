@@ -0,0 +1,180 @@
+/**
+ * sanitizer.js — HTML Sanitization for the Preview
+ * One allowlist, applied with DOMPurify when it is loaded and with the built-in
+ * sanitizer below when it is not (its script failed to load), so raw HTML in a
+ * document can never add scripts, event handlers or javascript: links to the page.
+ */
+
+export const SANITIZE_CONFIG = {
+    // Allow safe subset of HTML
+    ALLOWED_TAGS: [
+        // Block
+        'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'p', 'div', 'span', 'section', 'article', 'aside',
+        'header', 'footer', 'nav', 'main',
+        'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+        'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+        'caption', 'colgroup', 'col',
+        'blockquote', 'pre', 'code', 'hr', 'br',
+        'details', 'summary',
+        'figure', 'figcaption',
+        // Inline
+        'a', 'img', 'em', 'strong', 'b', 'i', 'u', 's',
+        'del', 'ins', 'sub', 'sup', 'mark', 'small',
+        'abbr', 'cite', 'dfn', 'time', 'kbd', 'var', 'samp',
+        'ruby', 'rt', 'rp',
+        // Forms (readonly)
+        'input', 'label',
+        // Media
+        'video', 'audio', 'source', 'picture',
+        // SVG for mermaid
+        'svg', 'g', 'path', 'circle', 'rect', 'line', 'polyline',
+        'polygon', 'text', 'tspan', 'defs', 'marker', 'use',
+        'foreignObject', 'clipPath', 'mask', 'pattern',
+        'linearGradient', 'radialGradient', 'stop',
+        'desc', 'title', 'metadata', 'symbol',
+    ],
+    ALLOWED_ATTR: [
+        'href', 'src', 'alt', 'title', 'class', 'id',
+        'style', 'target', 'rel', 'loading',
+        'type', 'checked', 'disabled',
+        'width', 'height', 'align', 'valign', 'colspan', 'rowspan',
+        'datetime', 'cite', 'lang', 'dir',
+        'open', 'start', 'reversed',
+        'controls', 'autoplay', 'loop', 'muted', 'preload',
+        // SVG attributes
+        'viewBox', 'xmlns', 'fill', 'stroke', 'stroke-width',
+        'stroke-dasharray', 'stroke-linecap', 'stroke-linejoin',
+        'd', 'cx', 'cy', 'r', 'rx', 'ry', 'x', 'y', 'x1', 'y1', 'x2', 'y2',
+        'points', 'transform', 'opacity', 'font-size', 'font-family',
+        'font-weight', 'text-anchor', 'dominant-baseline',
+        'marker-end', 'marker-start', 'marker-mid',
+        'clip-path', 'mask', 'gradientUnits', 'gradientTransform',
+        'offset', 'stop-color', 'stop-opacity',
+        'xlink:href', 'preserveAspectRatio',
+        'data-tooltip', 'aria-label', 'role',
+    ],
+    // Forbid dangerous elements
+    FORBID_TAGS: ['script', 'iframe', 'object', 'embed', 'form', 'style'],
+    FORBID_ATTR: ['onerror', 'onload', 'onclick', 'onmouseover', 'onfocus',
+        'onblur', 'onsubmit', 'onchange', 'oninput', 'onkeydown',
+        'onkeyup', 'onkeypress', 'onmousedown', 'onmouseup'],
+    ADD_ATTR: ['target'],
+    KEEP_CONTENT: true,
+};
+
+// Removed elements whose content is dropped too, even with KEEP_CONTENT (as in DOMPurify)
+const DROP_CONTENT = new Set([
+    'script', 'style', 'template', 'iframe', 'object', 'embed', 'head', 'title',
+    'noscript', 'noembed', 'noframes', 'plaintext', 'xmp', 'textarea', 'select'
+]);
+
+// Attributes holding a URL, checked against the scheme policy
+const URL_ATTRS = new Set(['href', 'src', 'xlink:href', 'cite']);
+// Schemes allowed in any URL attribute; URLs without a scheme (relative paths,
+// #fragments, ?queries) are always allowed
+const SAFE_SCHEMES = new Set(['http', 'https', 'mailto', 'tel']);
+// Media elements may also load blob: (workspace images) and data: media URLs
+const MEDIA_TAGS = new Set(['img', 'source', 'video', 'audio']);
+
+// data-* and aria-* attributes are allowed, as in DOMPurify's defaults
+const reDataAttr = /^(?:data|aria)-[\w.\-]+$/;
+const reScheme = /^([a-z][a-z0-9+.\-]*):/i;
+const reDataMedia = /^data:(?:image|video|audio)\//i;
+// Browsers ignore these when reading a URL's scheme ("java\tscript:")
+const reUrlIgnored = /[\u0000- \u007f-\u009f]/g;
+
+const compiled = new WeakMap(); // config → lowercased lookup sets
+
+function compile(config) {
+    let rules = compiled.get(config);
+    if (!rules) {
+        const lower = (list) => new Set((list || []).map(s => s.toLowerCase()));
+        rules = {
+            tags: lower(config.ALLOWED_TAGS),
+            attrs: lower([...(config.ALLOWED_ATTR || []), ...(config.ADD_ATTR || [])]),
+            forbidTags: lower(config.FORBID_TAGS),
+            forbidAttrs: lower(config.FORBID_ATTR),
+            keepContent: config.KEEP_CONTENT !== false
+        };
+        compiled.set(config, rules);
+    }
+    return rules;
+}
+
+/**
+ * Whether a URL may be used in the given attribute of the given element.
+ * @param {string} url
+ * @param {string} attr - lowercase attribute name
+ * @param {string} tag - lowercase element name
+ * @returns {boolean}
+ */
+export function isSafeUrl(url, attr, tag) {
+    const normalized = url.replace(reUrlIgnored, '');
+    const m = reScheme.exec(normalized);
+    if (!m) return true;
+
+    const scheme = m[1].toLowerCase();
+    if (SAFE_SCHEMES.has(scheme)) return true;
+    if (attr !== 'src' || !MEDIA_TAGS.has(tag)) return false;
+    return scheme === 'blob' || (scheme === 'data' && reDataMedia.test(normalized));
+}
+
+/**
+ * Built-in allowlist sanitizer, used when DOMPurify is not available. Applies the
+ * tag and attribute rules of `config` and the URL scheme policy of isSafeUrl();
+ * comments are removed.
+ * @param {string} html
+ * @param {Object} [config=SANITIZE_CONFIG] - DOMPurify-style options
+ * @returns {string}
+ */
+export function allowlistSanitize(html, config = SANITIZE_CONFIG) {
+    const rules = compile(config);
+    // Template content is inert: nothing in it runs or loads while it is cleaned
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    cleanChildren(template.content, rules);
+    return template.innerHTML;
+}
+
+function cleanChildren(parent, rules) {
+    for (const node of [...parent.childNodes]) {
+        if (node.nodeType === Node.ELEMENT_NODE) cleanElement(node, rules);
+        else if (node.nodeType !== Node.TEXT_NODE) node.remove();
+    }
+}
+
+function cleanElement(el, rules) {
+    const tag = el.localName.toLowerCase();
+    if (!rules.tags.has(tag) || rules.forbidTags.has(tag)) {
+        if (rules.keepContent && !DROP_CONTENT.has(tag)) {
+            cleanChildren(el, rules);
+            el.replaceWith(...el.childNodes);
+        } else {
+            el.remove();
+        }
+        return;
+    }
+
+    for (const { name, value } of [...el.attributes]) {
+        const attr = name.toLowerCase();
+        const allowed = !rules.forbidAttrs.has(attr) && !attr.startsWith('on')
+            && (rules.attrs.has(attr) || reDataAttr.test(attr))
+            && (!URL_ATTRS.has(attr) || isSafeUrl(value, attr, tag));
+        if (!allowed) el.removeAttribute(name);
+    }
+    cleanChildren(el, rules);
+}
+
+/**
+ * Sanitize preview HTML with DOMPurify, or with allowlistSanitize() when
+ * DOMPurify did not load.
+ * @param {string} html
+ * @returns {string}
+ */
+export function sanitizeHtml(html) {
+    if (typeof DOMPurify !== 'undefined') {
+        return DOMPurify.sanitize(html, SANITIZE_CONFIG);
+    }
+    return allowlistSanitize(html);
+}
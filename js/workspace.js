@@ -269,9 +269,9 @@ export class Workspace {
         const file = await fm.getFile(item.path);
         if (!file) return;
 
-        this.activeFilePath = item.path;
-
         if (this._isTextFile(item.name, file.type)) {
+            // Only text files become active: autosave writes the editor text to it
+            this.activeFilePath = item.path;
             let content = file.content;
             if (content instanceof ArrayBuffer) {
                 content = new TextDecoder().decode(content);
@@ -0,0 +1,111 @@
+/**
+ * sw.js — Service Worker for Offline Use
+ * Precaches the app shell and the vendored libraries (DOMPurify, MathJax with the
+ * fonts and extensions it loads on demand, Mermaid, JSZip) at install, then serves
+ * them cache-first, so the editor works without network after the first visit.
+ * Web fonts are cached the first time they are used.
+ *
+ * A new version is picked up when this file changes: bump CACHE_VERSION whenever
+ * a precached file changes. The new worker waits until the page asks it to take
+ * over ({ type: 'skip-waiting' }, sent from the update prompt in pwa.js).
+ */
+const CACHE_PREFIX = 'realtimemd-';
+const CACHE_VERSION = 'v11';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+// Relative to this file, so the app also works from a sub-path (GitHub Pages)
+const APP_SHELL = [
+    './',
+    './index.html',
+    './manifest.webmanifest',
+    './icons/icon.svg',
+    './css/style.css',
+    './js/app.js',
+    './js/diagramexport.js',
+    './js/editor.js',
+    './js/editorhighlight.js',
+    './js/entities.js',
+    './js/extensions.js',
+    './js/filemanager.js',
+    './js/findreplace.js',
+    './js/frontmatter.js',
+    './js/highlight.js',
+    './js/i18n.js',
+    './js/markdown.js',
+    './js/pathutils.js',
+    './js/preview-worker.js',
+    './js/preview.js',
+    './js/pwa.js',
+    './js/sanitizer.js',
+    './js/storage.js',
+    './js/workspace.js',
+    './vendor/dompurify/purify.min.js',
+    './vendor/jszip/jszip.min.js',
+    './vendor/mathjax/tex-mml-chtml.js',
+    './vendor/mermaid/mermaid.min.js',
+];
+
+// Files MathJax loads on demand (fonts, TeX extensions, accessibility), relative to its folder
+const MATHJAX_DIR = './vendor/mathjax/';
+const MATHJAX_FILES = MATHJAX_DIR + 'files.json';
+
+// Cross-origin hosts whose responses are cached on first use (web fonts; the UI
+// falls back to system fonts until they have been cached)
+const RUNTIME_HOSTS = [
+    'fonts.googleapis.com',
+    'fonts.gstatic.com',
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+        const files = await (await fetch(MATHJAX_FILES, { cache: 'no-cache' })).json();
+        await cache.addAll(files.map(file => MATHJAX_DIR + file));
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    if (!sameOrigin && !RUNTIME_HOSTS.includes(url.hostname)) return;
+
+    if (request.mode === 'navigate') {
+        // Any page URL (?lang=ja, #heading) is the app shell
+        event.respondWith(
+            caches.match('./index.html', { ignoreSearch: true })
+                .then(cached => cached || fetch(request)));
+        return;
+    }
+    event.respondWith(cacheFirst(request, !sameOrigin));
+});
+
+async function cacheFirst(request, cacheOnUse) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Opaque responses (no-cors font requests) cannot be checked but are still usable
+    if (cacheOnUse && (response.ok || response.type === 'opaque')) {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
@@ -0,0 +1,61 @@
+/**
+ * commonmark.test.mjs — CommonMark spec conformance
+ * Runs every example of the CommonMark 0.31.2 spec through the parser, one test per
+ * spec section. fixtures/commonmark-spec.json holds the examples as dumped by the
+ * spec's own test runner (spec_tests.py --dump-tests) from spec.txt of the
+ * commonmark-spec package; the spec is © John MacFarlane, CC-BY-SA 4.0.
+ * Run with `node --test` from the repository root (Node 20.19 or later).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { MarkdownParser } from '../js/markdown.js';
+
+const examples = JSON.parse(readFileSync(new URL('./fixtures/commonmark-spec.json', import.meta.url), 'utf8'));
+
+// Examples whose plain-CommonMark output is changed by the syntax this parser adds
+const EXTENSIONS = {
+    12: 'math: \\[ … \\] is display math',
+    590: 'wiki links: [[foo]]',
+    606: 'GFM extended autolinks: foo+@bar.example.com',
+    608: 'GFM extended autolinks: https://foo.bar',
+    611: 'GFM extended autolinks: https://example.com',
+    612: 'GFM extended autolinks: foo@bar.example.com'
+};
+
+// Drop what the preview adds on top of spec HTML: source lines, heading ids and
+// anchors, new-tab link attributes and lazy image loading
+const normalize = html => html
+    .replace(/ data-source-line="\d+"/g, '')
+    .replace(/<(h[1-6]) id="[^"]*"><a class="heading-anchor"[^>]*>#<\/a>/g, '<$1>')
+    .replace(/ target="_blank" rel="noopener noreferrer"/g, '')
+    .replace(/ loading="lazy"/g, '')
+    .trim();
+
+// The spec writes void elements XHTML-style (<br />); the renderer emits <br>
+const expectedHtml = html => html.replace(/<(br|hr|img)([^>]*?) \/>/g, '<$1$2>').trim();
+
+const sections = new Map();
+for (const example of examples) {
+    if (!sections.has(example.section)) sections.set(example.section, []);
+    sections.get(example.section).push(example);
+}
+
+for (const [section, list] of sections) {
+    test(`CommonMark spec: ${section}`, () => {
+        for (const example of list) {
+            if (example.example in EXTENSIONS) continue;
+            const html = normalize(new MarkdownParser().parse(example.markdown));
+            assert.equal(html, expectedHtml(example.html),
+                `Example ${example.example} (spec.txt line ${example.start_line})`);
+        }
+    });
+}
+
+test('CommonMark spec: extension deviations still differ from the spec', () => {
+    // A listed example that starts passing should be taken off the list
+    for (const example of examples.filter(e => e.example in EXTENSIONS)) {
+        const html = normalize(new MarkdownParser().parse(example.markdown));
+        assert.notEqual(html, expectedHtml(example.html), `Example ${example.example}`);
+    }
+});
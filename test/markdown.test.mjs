@@ -0,0 +1,152 @@
+/**
+ * markdown.test.mjs — Parser regression tests
+ * Run with `node --test` from the repository root (Node 20.19 or later).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MarkdownParser } from '../js/markdown.js';
+
+const render = (md, options) => new MarkdownParser(options).parse(md);
+
+test('heading ids are prefixed so they cannot shadow app elements', () => {
+    const html = render('[TOC]\n\n## Toast Container\n\n## Status Count\n');
+    assert.match(html, /<h2 id="user-content-toast-container"/);
+    assert.match(html, /<h2 id="user-content-status-count"/);
+    assert.doesNotMatch(html, /id="(?:toast-container|status-count)"/);
+    // Anchor and table-of-contents links point at the prefixed ids
+    assert.match(html, /class="heading-anchor" href="#user-content-toast-container"/);
+    assert.match(html, /<nav class="toc"[^>]*><ul><li><a href="#user-content-toast-container">/);
+});
+
+test('wiki heading anchors use the prefixed ids', () => {
+    const html = render('[[#Status Count]] [[Notes#Toast Container]]', {
+        resolveWikiLink: target => `/${target}.md`
+    });
+    assert.match(html, /href="#user-content-status-count"/);
+    assert.match(html, /href="\/Notes\.md#user-content-toast-container" data-wikilink="\/Notes\.md" data-heading="user-content-toast-container"/);
+});
+
+test('footnote ids and back-references use the prefix', () => {
+    const html = render('Energy.[^1] Again.[^1]\n\n[^1]: Closed system.\n');
+    assert.match(html, /<a href="#user-content-fn-1" id="user-content-fnref-1">/);
+    assert.match(html, /<a href="#user-content-fn-1" id="user-content-fnref-1-2">/);
+    assert.match(html, /<li id="user-content-fn-1"/);
+    assert.match(html, /href="#user-content-fnref-1" class="footnote-backref"/);
+    assert.match(html, /href="#user-content-fnref-1-2" class="footnote-backref"/);
+    assert.doesNotMatch(html, /id="fn/);
+});
+
+test('an @mention rule does not split email autolinks', () => {
+    const parser = new MarkdownParser();
+    parser.addInlineRule({
+        name: 'mention',
+        triggers: '@',
+        parse(text, pos) {
+            const m = /^@(\w+)/.exec(text.slice(pos));
+            return m && { length: m[0].length, user: m[1] };
+        }
+    });
+    parser.renderer.addRule('mention', node => `<a class="mention">@${node.user}</a>`);
+
+    const html = parser.parse('Ask @alice or mail foo@bar.com, www.example.com/@bob\n');
+    assert.match(html, /Ask <a class="mention">@alice<\/a> or mail/);
+    assert.match(html, /<a href="mailto:foo@bar\.com"[^>]*>foo@bar\.com<\/a>,/);
+    assert.match(html, /<a href="http:\/\/www\.example\.com\/@bob"[^>]*>www\.example\.com\/@bob<\/a>/);
+});
+
+test('every HTML5 named entity is decoded; unknown names stay literal', () => {
+    assert.match(render('&Dcaron; &ngE; &ClockwiseContourIntegral;\n'), />Ď ≧̸ ∲<\/p>/);
+    assert.match(render('[a](/f&ouml;&ouml; "&Dcaron;")\n'), /<a href="\/f%C3%B6%C3%B6" title="Ď"/);
+    // Not an entity: the "&" is escaped like any other
+    assert.match(render('&hl; &MadeUpName;\n'), />&amp;hl; &amp;MadeUpName;<\/p>/);
+});
+
+test('a line of unmatched $ signs parses in linear time', () => {
+    const start = Date.now();
+    const html = render('$a '.repeat(20000));
+    assert.ok(Date.now() - start < 1000, `took ${Date.now() - start} ms`);
+    assert.doesNotMatch(html, /class="math/);
+    // Closers are still found after rejected ones: "$ " and "$1" cannot close
+    assert.match(render('$a $b$1 c$ d\n'), /<span class="math-inline">\\\(a \$b\$1 c\\\)<\/span> d/);
+});
+
+test('deep nesting is capped instead of overflowing the stack', () => {
+    const count = (html, re) => (html.match(re) || []).length;
+    // Block containers: a list is two levels (list and item), a quote one
+    const lists = render('- '.repeat(1000) + 'x\n');
+    assert.equal(count(lists, /<li/g), 50);
+    assert.match(lists, /- - - x/);
+    assert.equal(count(render('>'.repeat(1000) + ' x\n'), /<blockquote/g), 100);
+    // Inline: emphasis and links past the cap are left as text
+    const strong = render('*'.repeat(10000) + 'a' + '*'.repeat(10000) + '\n');
+    assert.equal(count(strong, /<strong>/g), 100);
+    const images = render('!['.repeat(10000) + 'a' + '](b)'.repeat(10000) + '\n');
+    assert.equal(count(images, /<img/g), 1);
+    assert.doesNotThrow(() => render('[*'.repeat(10000) + 'a' + '*](b)'.repeat(10000) + '\n'));
+});
+
+// GFM spec, "Autolinks (extension)" examples: [markdown, expected HTML]
+const GFM_AUTOLINKS = [
+    ['www.commonmark.org\n',
+        '<p><a href="http://www.commonmark.org">www.commonmark.org</a></p>'],
+    ['Visit www.commonmark.org/help for more information.\n',
+        '<p>Visit <a href="http://www.commonmark.org/help">www.commonmark.org/help</a> for more information.</p>'],
+    ['Visit www.commonmark.org.\n\nVisit www.commonmark.org/a.b.\n',
+        '<p>Visit <a href="http://www.commonmark.org">www.commonmark.org</a>.</p>\n<p>Visit <a href="http://www.commonmark.org/a.b">www.commonmark.org/a.b</a>.</p>'],
+    ['www.google.com/search?q=Markup+(business)\n\nwww.google.com/search?q=Markup+(business)))\n\n(www.google.com/search?q=Markup+(business))\n\n(www.google.com/search?q=Markup+(business)\n',
+        '<p><a href="http://www.google.com/search?q=Markup+(business)">www.google.com/search?q=Markup+(business)</a></p>\n'
+        + '<p><a href="http://www.google.com/search?q=Markup+(business)">www.google.com/search?q=Markup+(business)</a>))</p>\n'
+        + '<p>(<a href="http://www.google.com/search?q=Markup+(business)">www.google.com/search?q=Markup+(business)</a>)</p>\n'
+        + '<p>(<a href="http://www.google.com/search?q=Markup+(business)">www.google.com/search?q=Markup+(business)</a></p>'],
+    ['www.google.com/search?q=(business))+ok\n',
+        '<p><a href="http://www.google.com/search?q=(business))+ok">www.google.com/search?q=(business))+ok</a></p>'],
+    ['www.google.com/search?q=commonmark&hl=en\n\nwww.google.com/search?q=commonmark&hl;\n',
+        '<p><a href="http://www.google.com/search?q=commonmark&amp;hl=en">www.google.com/search?q=commonmark&amp;hl=en</a></p>\n'
+        + '<p><a href="http://www.google.com/search?q=commonmark">www.google.com/search?q=commonmark</a>&amp;hl;</p>'],
+    ['www.commonmark.org/he<lp\n',
+        '<p><a href="http://www.commonmark.org/he">www.commonmark.org/he</a>&lt;lp</p>'],
+    ['http://commonmark.org\n\n(Visit https://encrypted.google.com/search?q=Markup+(business))\n\nAnonymous FTP is available at ftp://foo.bar.baz.\n',
+        '<p><a href="http://commonmark.org">http://commonmark.org</a></p>\n'
+        + '<p>(Visit <a href="https://encrypted.google.com/search?q=Markup+(business)">https://encrypted.google.com/search?q=Markup+(business)</a>)</p>\n'
+        + '<p>Anonymous FTP is available at <a href="ftp://foo.bar.baz">ftp://foo.bar.baz</a>.</p>'],
+    ['foo@bar.baz\n',
+        '<p><a href="mailto:foo@bar.baz">foo@bar.baz</a></p>'],
+    ["hello@mail+xyz.example isn't valid, but hello+xyz@mail.example is.\n",
+        '<p>hello@mail+xyz.example isn\'t valid, but <a href="mailto:hello+xyz@mail.example">hello+xyz@mail.example</a> is.</p>'],
+    ['a.b-c_d@a.b\n\na.b-c_d@a.b.\n\na.b-c_d@a.b-\n\na.b-c_d@a.b_\n',
+        '<p><a href="mailto:a.b-c_d@a.b">a.b-c_d@a.b</a></p>\n<p><a href="mailto:a.b-c_d@a.b">a.b-c_d@a.b</a>.</p>\n<p>a.b-c_d@a.b-</p>\n<p>a.b-c_d@a.b_</p>'],
+    ['mailto:foo@bar.baz\n\nmailto:a.b-c_d@a.b\n\nmailto:a.b-c_d@a.b.\n\nmailto:a.b-c_d@a.b/\n\nmailto:a.b-c_d@a.b-\n\nmailto:a.b-c_d@a.b_\n\nxmpp:foo@bar.baz\n\nxmpp:foo@bar.baz.\n',
+        '<p><a href="mailto:foo@bar.baz">mailto:foo@bar.baz</a></p>\n'
+        + '<p><a href="mailto:a.b-c_d@a.b">mailto:a.b-c_d@a.b</a></p>\n'
+        + '<p><a href="mailto:a.b-c_d@a.b">mailto:a.b-c_d@a.b</a>.</p>\n'
+        + '<p><a href="mailto:a.b-c_d@a.b">mailto:a.b-c_d@a.b</a>/</p>\n'
+        + '<p>mailto:a.b-c_d@a.b-</p>\n'
+        + '<p>mailto:a.b-c_d@a.b_</p>\n'
+        + '<p><a href="xmpp:foo@bar.baz">xmpp:foo@bar.baz</a></p>\n'
+        + '<p><a href="xmpp:foo@bar.baz">xmpp:foo@bar.baz</a>.</p>'],
+    ['xmpp:foo@bar.baz/txt\n\nxmpp:foo@bar.baz/txt@bin\n\nxmpp:foo@bar.baz/txt@bin.com\n',
+        '<p><a href="xmpp:foo@bar.baz/txt">xmpp:foo@bar.baz/txt</a></p>\n'
+        + '<p><a href="xmpp:foo@bar.baz/txt@bin">xmpp:foo@bar.baz/txt@bin</a></p>\n'
+        + '<p><a href="xmpp:foo@bar.baz/txt@bin.com">xmpp:foo@bar.baz/txt@bin.com</a></p>'],
+    ['xmpp:foo@bar.baz/txt/bin\n',
+        '<p><a href="xmpp:foo@bar.baz/txt">xmpp:foo@bar.baz/txt</a>/bin</p>']
+];
+
+// Drop what the preview adds on top of spec HTML: source lines and new-tab attributes
+const specHtml = html => html
+    .replace(/ data-source-line="\d+"/g, '')
+    .replace(/ target="_blank" rel="noopener noreferrer"/g, '')
+    .trim();
+
+test('GFM extended autolink spec examples', () => {
+    for (const [md, expected] of GFM_AUTOLINKS) {
+        assert.equal(specHtml(render(md)), expected, md);
+    }
+});
+
+test('extended autolinks accept domains in any script', () => {
+    assert.equal(specHtml(render('www.例え.jp/ページ\n')),
+        '<p><a href="http://www.%E4%BE%8B%E3%81%88.jp/%E3%83%9A%E3%83%BC%E3%82%B8">www.例え.jp/ページ</a></p>');
+    assert.equal(specHtml(render('See https://bücher.de.\n')),
+        '<p>See <a href="https://b%C3%BCcher.de">https://bücher.de</a>.</p>');
+});
@@ -0,0 +1,73 @@
+/**
+ * preview.test.mjs — Preview interaction tests
+ * Methods run against small stand-ins for the app, without a DOM.
+ * Run with `node --test` from the repository root (Node 20.19 or later).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Preview } from '../js/preview.js';
+
+function taskBox(line, checked) {
+    return {
+        checked,
+        dataset: { taskLine: String(line) },
+        matches: selector => selector.startsWith('input.task-list-item-checkbox')
+    };
+}
+
+test('task clicks are ignored while a render is pending', () => {
+    const events = [];
+    const preview = Object.create(Preview.prototype);
+    Object.assign(preview, {
+        app: { eventBus: { emit: (name, data) => events.push([name, data]) } },
+        _renderSeq: 2,
+        _appliedSeq: 1
+    });
+
+    const stale = taskBox(3, true);
+    preview._onTaskToggle({ target: stale });
+    assert.equal(stale.checked, false);
+    assert.deepEqual(events, []);
+
+    preview._appliedSeq = 2;
+    preview._onTaskToggle({ target: taskBox(3, true) });
+    assert.deepEqual(events, [['preview:task-toggle', { line: 3, checked: true }]]);
+});
+
+test('following a link to a binary file leaves that file unchanged', async () => {
+    const { Workspace } = await import('../js/workspace.js');
+    const { Storage } = await import('../js/storage.js');
+
+    const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47]).buffer;
+    const files = new Map([
+        ['/notes.md', { path: '/notes.md', name: 'notes.md', type: 'text/markdown', content: '[img](./a.png)' }],
+        ['/a.png', { path: '/a.png', name: 'a.png', type: 'image/png', content: png }]
+    ]);
+    const opened = [];
+    const app = {
+        showToast() {},
+        editor: { getValue: () => '[img](./a.png)', setValue() { throw new Error('editor replaced'); } },
+        fileManager: {
+            blobUrls: new Map([['/a.png', 'blob:a']]),
+            getFile: async path => files.get(path) || null,
+            saveFile: async (path, name, type, content) => { files.set(path, { path, name, type, content }); }
+        }
+    };
+    const workspace = Object.assign(Object.create(Workspace.prototype), { app, activeFilePath: '/notes.md', refresh() {} });
+    const preview = Object.assign(Object.create(Preview.prototype), { app, _workspaceFiles: [...files.keys()] });
+    app.workspace = workspace;
+    globalThis.window = { open: url => opened.push(url) };
+
+    await preview._followPathLink('./a.png');
+    assert.deepEqual(opened, ['blob:a']);
+    assert.equal(workspace.getActiveFilePath(), '/notes.md');
+
+    // Opening the file from the explorer does not make it active either
+    await workspace._openFile({ path: '/a.png', name: 'a.png' });
+    assert.equal(workspace.getActiveFilePath(), '/notes.md');
+
+    // The next autosave writes to the Markdown file, not the image
+    await Storage.prototype._persistActiveFile.call({ app });
+    assert.equal(files.get('/a.png').content, png);
+    delete globalThis.window;
+});